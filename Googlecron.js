@@ -10,6 +10,30 @@ const { uploadToDrive } = require('./googleDrive');
 const sgMail = require('@sendgrid/mail');
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium-min');
+const { connectDB } = require('./config/database');
+const { parseApplicationNumber } = require('./lib/applicationNumber');
+const { readJson, updateJson } = require('./lib/jsonStore');
+const { REQUIRED_ENV_VARS: USPTO_ENV_VARS, getTrademarkDocumentsXml, getPatentDocuments, downloadDocument } = require('./lib/usptoClient');
+const { fetchSucceeded, fetchFailed, isDegraded, reasonForFetch, matterStatusFor } = require('./lib/fetchResult');
+const {
+  migrateState,
+  getLastProcessedDate,
+  markSeen,
+  needsBaseline,
+  selectNewDocuments,
+  selectBackfillDocuments,
+  recordBackfill,
+  stateFromMatters
+} = require('./lib/processedState');
+const {
+  describeDeadline,
+  closeAnsweredDeadlines,
+  docketExistingDocuments
+} = require('./lib/deadlines');
+const { createMatterPipeline } = require('./lib/matterPipeline');
+const { parseConcurrency, runPool } = require('./lib/workerPool');
+const Matter = require('./models/Matter');
+const { recordAudit, systemActor } = require('./lib/audit');
 
 // ========================
 // 🛠️ INITIAL SETUP
@@ -21,29 +45,37 @@ if (!fs.existsSync(tmpDir)) {
   console.log('📁 Created tmp directory');
 }
 
-// Create state directory for tracking last processed dates
+// Create state directory for the automation status (and the state file of older versions)
 const stateDir = path.join(__dirname, 'state');
 if (!fs.existsSync(stateDir)) {
   fs.mkdirSync(stateDir, { recursive: true });
   console.log('📁 Created state directory');
 }
 
-// State file to track last processed dates
+// Seen documents are stored on the matters (processedState); the state file of older versions is only read,
+// for matters that have no processedState yet, and cleared by --reset-state
 const STATE_FILE = path.join(stateDir, 'lastProcessedState.json');
 
-// Load application mapping with absolute path
-const mapDataPath = path.join(__dirname, 'map.json');
-if (!fs.existsSync(mapDataPath)) {
-  console.error('❌ map.json file not found!');
-  process.exit(1);
-}
-
 // Form configuration
 const FORM_URL = "https://app.lawmatics.com/forms/update-by-id/d2ab9a6a-2800-41f3-a4ba-51feedbf02b3";
 const LAW_TOKEN = process.env.LAW_TOKEN;
 
+// Matters checked at once; USPTO requests are still paced per host by lib/usptoClient.js
+const MONITOR_CONCURRENCY = parseConcurrency(process.env.MONITOR_CONCURRENCY);
+// No new matter is started after this long, so a run cannot overlap the next day's; the matters left over are
+// checked first by the next run (least recently checked first)
+const RUN_BUDGET_MS = parseInt(process.env.SERVER_RUN_BUDGET_MS, 10) || 3 * 60 * 60 * 1000;
+// Per-document and case status steps shared with the Vercel monitor (lib/unified-uspto-monitor.js)
+const { processSingleDocument, processCaseStatus } = createMatterPipeline({
+  downloadAndUploadToDrive,
+  sendEmailNotification,
+  updateLawmaticsProspect,
+  getProspect,
+  submitFormWithPuppeteer
+});
+
 // Validate environment variables
-const requiredEnvVars = ['EMAIL_USER', 'EMAIL_PASS', 'EMAIL_TO', 'GDRIVE_FOLDER_ID'];
+const requiredEnvVars = ['EMAIL_USER', 'EMAIL_PASS', 'EMAIL_TO', 'GDRIVE_FOLDER_ID', ...USPTO_ENV_VARS];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -65,30 +97,43 @@ const transporter = nodemailer.createTransport({
 // ========================
 
 /**
- * Load last processed state
+ * Load the state file of older versions (seen document identities per application, see lib/processedState.js),
+ * migrated in memory; {} when there is none. It is never written: matters carry their own state from their
+ * first check on. A corrupt state file throws instead of returning {}, which would re-send every document.
  */
-async function loadLastProcessedState() {
+async function loadLegacyProcessedState() {
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = await fs.promises.readFile(STATE_FILE, 'utf8');
-      return JSON.parse(data);
+    const state = await readJson(STATE_FILE, {});
+    const migrated = migrateState(state);
+    if (migrated > 0) {
+      console.log(`🔄 Migrated ${migrated} date-only state entr${migrated === 1 ? 'y' : 'ies'} to document identities`);
     }
+    return state;
   } catch (error) {
     console.error("❌ Error loading state file:", error.message);
+    throw error;
   }
-  return {};
 }
 
 /**
- * Save last processed state
+ * Processed state of the given matters, read from MongoDB as it is now (the state file as fallback)
  */
-async function saveLastProcessedState(state) {
-  try {
-    await fs.promises.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
-    console.log('💾 State file updated');
-  } catch (error) {
-    console.error("❌ Error saving state file:", error.message);
-  }
+async function loadLastProcessedState(matters) {
+  const stored = await Matter.find({ _id: { $in: matters.map(matter => matter._id) } })
+    .select('applicationNumber +processedState')
+    .lean();
+  return stateFromMatters(stored, await loadLegacyProcessedState());
+}
+
+/**
+ * Save the processed state of the given matters to MongoDB, merged into what is stored, so documents
+ * recorded meanwhile by a backfill or the Vercel monitor are kept
+ */
+async function saveLastProcessedState(state, matters) {
+  const entries = matters
+    .filter(matter => state[matter.applicationNumber])
+    .map(matter => ({ matterId: matter._id, entry: state[matter.applicationNumber] }));
+  await Matter.recordProcessedState(entries);
 }
 
 /**
@@ -99,61 +144,48 @@ function getTodayDateKey() {
   return now.toISOString().split('T')[0]; // Returns YYYY-MM-DD
 }
 
-/**
- * Check if document is new (from today or newer than last processed date)
- */
-function isNewDocument(docDate, lastProcessedDate, todayDate) {
-  const docDateStr = docDate.toISOString().split('T')[0];
-  
-  // If we have a last processed date, compare with that
-  if (lastProcessedDate) {
-    // Only process if the document date is STRICTLY newer than last processed
-    // This prevents reprocessing the same document
-    return docDateStr > lastProcessedDate;
-  }
-  
-  // Otherwise, only process documents from today or future
-  return docDateStr >= todayDate;
-}
 // ========================
 // 🔧 Core Functions
 // ========================
 
 /**
- * Load matter mapping from map.json
+ * Load monitored matters (active, or paused past their resume date) from the database
  */
 async function loadMatterMap() {
   try {
-    const data = await fs.promises.readFile(mapDataPath, 'utf8');
-    return JSON.parse(data);
+    await connectDB();
+    return await Matter.findMonitored();
   } catch (error) {
-    console.error("❌ Error loading map.json:", error.message);
+    console.error("❌ Error loading matters:", error.message);
     return [];
   }
 }
 
 /**
- * Fetch latest Trademark document from USPTO API
+ * Fetch Trademark documents from USPTO API, newest first.
+ * Returns a typed result { status, docs, error } (see lib/fetchResult.js).
  */
 async function fetchTrademarkDoc(applicationNumber) {
+  const parsed = parseApplicationNumber(applicationNumber, "Trademark");
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return fetchFailed(new Error(parsed.error));
+  }
+
   try {
-    const url = `https://tsdrapi.uspto.gov/ts/cd/casedocs/bundle.xml?sn=${applicationNumber}`;
-    
+    // Registration numbers are looked up with rn=, serial numbers with sn=
+    const caseParam = parsed.kind === 'registration' ? 'rn' : 'sn';
+
     console.log(`🔍 Fetching trademark data for ${applicationNumber}...`);
-    
-    const { data } = await axios.get(url, {
-      headers: { 
-        'USPTO-API-KEY': process.env.USPTO_API_KEY || '5WFZ8ApIfVK4ZZKevqIGFn0WtgLVmw4w'
-      },
-      timeout: 15000
-    });
+
+    const data = await getTrademarkDocumentsXml(parsed.applicationNumber, { caseParam });
 
     const result = await parseStringPromise(data);
     const docs = result?.DocumentList?.Document || [];
 
     if (docs.length === 0) {
       console.log(` No trademark documents found for application ${applicationNumber}`);
-      return null;
+      return fetchSucceeded([]);
     }
 
     const parsedDocs = docs
@@ -172,40 +204,37 @@ async function fetchTrademarkDoc(applicationNumber) {
       .sort((a, b) => b.date - a.date);
 
     console.log(`✅ Found ${parsedDocs.length} trademark documents for ${applicationNumber}`);
-    return parsedDocs[0];
+    return fetchSucceeded(parsedDocs);
   } catch (error) {
     console.error(`❌ Error fetching trademark doc for ${applicationNumber}:`, error.message);
     if (error.response) {
       console.error(`Status: ${error.response.status}`);
       console.error(`Response: ${JSON.stringify(error.response.data)}`);
     }
-    return null;
+    return fetchFailed(error);
   }
 }
 
 /**
- * Fetch latest Patent document from USPTO API
+ * Fetch Patent documents from USPTO API, newest first.
+ * Returns a typed result { status, docs, error } (see lib/fetchResult.js).
  */
 async function fetchPatentDoc(applicationNumber) {
-  try {
-    const url = `https://api.uspto.gov/api/v1/patent/applications/${encodeURIComponent(
-      applicationNumber
-    )}/documents`;
+  const parsed = parseApplicationNumber(applicationNumber, "Patent");
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return fetchFailed(new Error(parsed.error));
+  }
 
+  try {
     console.log(`🔍 Fetching patent data for ${applicationNumber}...`);
-    
-    const { data } = await axios.get(url, {
-      headers: {
-        accept: "application/json",
-        "X-API-KEY": process.env.USPTO_API_KEY || "wbrvfnkztibwvbguoheyakqjlhgagv",
-      },
-      timeout: 15000,
-    });
+
+    const data = await getPatentDocuments(parsed.applicationNumber);
 
     const docs = data?.documentBag || [];
     if (docs.length === 0) {
       console.log(` No patent documents found for application ${applicationNumber}`);
-      return null;
+      return fetchSucceeded([]);
     }
 
     const sortedDocs = docs
@@ -220,10 +249,10 @@ async function fetchPatentDoc(applicationNumber) {
       .sort((a, b) => b.date - a.date);
 
     console.log(`✅ Found ${sortedDocs.length} patent documents for ${applicationNumber}`);
-    return sortedDocs[0];
+    return fetchSucceeded(sortedDocs);
   } catch (error) {
     console.error(`❌ Error fetching patent doc for ${applicationNumber}:`, error.message);
-    return null;
+    return fetchFailed(error);
   }
 }
 
@@ -231,7 +260,8 @@ async function fetchPatentDoc(applicationNumber) {
  * Download and upload document to Google Drive
  */
 async function downloadAndUploadToDrive(applicationNumber, latestDoc, type) {
-  if (!latestDoc.link || latestDoc.link === 'N/A') {
+  // Status events link to the TSDR case page, which is not a document to archive
+  if (!latestDoc.link || latestDoc.link === 'N/A' || latestDoc.statusChange) {
     return latestDoc;
   }
 
@@ -248,10 +278,7 @@ async function downloadAndUploadToDrive(applicationNumber, latestDoc, type) {
       });
     } else {
       // Direct download for trademarks
-      response = await axios.get(latestDoc.link, { 
-        responseType: 'arraybuffer',
-        timeout: 30000 
-      });
+      response = await downloadDocument(latestDoc.link, { type });
     }
     
     const fileName = `${applicationNumber}-${latestDoc.description.replace(/[^a-zA-Z0-9]/g, '_')}.pdf`;
@@ -572,6 +599,9 @@ async function submitFormWithPuppeteer(matterId, applicationNumber, latestDoc, t
  */
 async function sendEmailNotification(applicationNumber, latestDoc, type) {
   const docUrl = latestDoc.driveLink || latestDoc.link || "N/A";
+  const { classification } = latestDoc;
+  // High-priority documents are flagged in the subject line
+  const flag = classification?.priority === 'high' ? classification.priorityLabel : null;
   
   try {
     sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -579,12 +609,14 @@ async function sendEmailNotification(applicationNumber, latestDoc, type) {
     await sgMail.send({
       from: 'automations@inspiredideasolutions.com',
       to: 'automations@inspiredideasolutions.com',
-      subject: `New ${latestDoc.description} for ${type} #${applicationNumber}`,
+      subject: `${flag ? `[${flag}] ` : ''}New ${latestDoc.description} for ${type} #${applicationNumber}`,
       html: `
+        ${flag ? `<p style="color: #c0392b;"><strong>${flag}</strong></p>` : ''}
         <h4>Latest Document for ${type} #${applicationNumber}</h4>
         <ul>
           <li><strong>Date:</strong> ${latestDoc.date.toISOString().split('T')[0]}</li>
           <li><strong>Type:</strong> ${latestDoc.description}</li>
+          ${classification ? `<li><strong>Classification:</strong> ${classification.label} (${classification.priorityLabel})</li>` : ''}
           ${type === "Patent" ? `
             <li><strong>Code:</strong> ${latestDoc.documentCode}</li>
             <li><strong>Category:</strong> ${latestDoc.category}</li>
@@ -592,6 +624,12 @@ async function sendEmailNotification(applicationNumber, latestDoc, type) {
           <li><strong>Link:</strong> ${docUrl !== "N/A" ? `<a href="${docUrl}">View Document</a>` : "No Link Available"}</li>
           ${latestDoc.driveLink ? `<li><strong>Storage:</strong> Google Drive</li>` : ''}
         </ul>
+        ${latestDoc.deadline ? `
+          <h4>${latestDoc.deadline.label}</h4>
+          <ul>
+            ${describeDeadline(latestDoc.deadline).map(([label, text]) => `<li><strong>${label}:</strong> ${text}</li>`).join('')}
+          </ul>
+        ` : ''}
         <p>This is an automated update from USPTO ${type} API.</p>
       `,
     });
@@ -650,71 +688,203 @@ async function sendConfirmationEmail(processedCount, totalCount) {
     console.error('❌ Email failed:', error.message);
   }
 }
+
+/**
+ * Alert when some matters could not be checked, so a failed run is never mistaken for "up to date"
+ */
+async function sendFetchFailureEmail(failedMatters, totalCount, degraded) {
+  try {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+    await sgMail.send({
+      from: 'automations@inspiredideasolutions.com',
+      to: 'automations@inspiredideasolutions.com',
+      subject: degraded
+        ? `USPTO Monitor: DEGRADED - ${failedMatters.length} of ${totalCount} matters not checked`
+        : `USPTO Monitor: ${failedMatters.length} matters not found at USPTO`,
+      html: `
+        <h4>USPTO Monitoring ${degraded ? 'Degraded' : 'Completed With Warnings'}</h4>
+        <p>These matters could not be checked, so new documents may have been missed. They will be retried on the next run.</p>
+        <ul>
+          ${failedMatters.map(result => `<li><strong>${result.type} #${result.applicationNumber}</strong> - ${result.fetchStatus}: ${result.description}</li>`).join('')}
+        </ul>
+        <p><strong>Total Matters:</strong> ${totalCount}<br><strong>Timestamp:</strong> ${new Date().toISOString()}</p>
+      `,
+    });
+
+    console.log(`📩 Fetch failure email sent - ${failedMatters.length} matters not checked`);
+  } catch (error) {
+    console.error('❌ Email failed:', error.message);
+  }
+}
 // ========================
 // 🚀 Main Processing Functions
 // ========================
 
 /**
- * Process a single matter with date filtering
+ * Process a single matter: the latest document plus case status changes
  */
 async function processMatter(matter, lastProcessedState, todayDate) {
+  const result = await processMatterDocuments(matter, lastProcessedState, todayDate);
+  const statusCheck = await processCaseStatus(matter);
+
+  if (!statusCheck) {
+    return result;
+  }
+  if (!statusCheck.changed) {
+    return { ...result, statusFetchStatus: statusCheck.status };
+  }
+  return {
+    ...result,
+    processed: true,
+    statusFetchStatus: statusCheck.status,
+    statusChanged: true,
+    caseStatus: statusCheck.current.statusDescription
+  };
+}
+
+/**
+ * Process the unseen documents of a single matter
+ */
+async function processMatterDocuments(matter, lastProcessedState, todayDate) {
   const { applicationNumber, lawmaticsID, type } = matter;
   
   console.log(`\n🔹 Processing ${type} #${applicationNumber} (Lawmatics ID: ${lawmaticsID})...`);
 
-  let latestDoc = null;
+  const parsed = parseApplicationNumber(applicationNumber, type);
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return { processed: false, reason: 'invalid_application_number', fetchStatus: null, applicationNumber, description: parsed.error };
+  }
+
+  let fetchResult;
   if (type === "Patent") {
-    latestDoc = await fetchPatentDoc(applicationNumber);
+    fetchResult = await fetchPatentDoc(applicationNumber);
   } else if (type === "Trademark") {
-    latestDoc = await fetchTrademarkDoc(applicationNumber);
+    fetchResult = await fetchTrademarkDoc(applicationNumber);
   } else {
     console.error(`❌ Unknown type: ${type} for application ${applicationNumber}`);
-    return { processed: false, reason: 'unknown_type' };
+    return { processed: false, reason: 'unknown_type', fetchStatus: null, applicationNumber, description: 'Unknown type' };
   }
 
-  if (!latestDoc) {
-    console.log(`⏭️ Skipping ${type} #${applicationNumber} - no documents found`);
-    return { processed: false, reason: 'no_documents' };
+  // Failed lookups are reported as such, never as "no documents"
+  if (fetchResult.status !== 'ok') {
+    if (fetchResult.status === 'empty') {
+      console.log(`⏭️ Skipping ${type} #${applicationNumber} - no documents found`);
+    } else {
+      console.warn(`⚠️ Could not check ${type} #${applicationNumber} (${fetchResult.status}): ${fetchResult.error}`);
+    }
+    return {
+      processed: false,
+      reason: reasonForFetch(fetchResult.status),
+      fetchStatus: fetchResult.status,
+      applicationNumber,
+      description: fetchResult.status === 'empty' ? 'No documents' : fetchResult.error
+    };
   }
 
-  // Check if this document is new
-  const lastProcessedDate = lastProcessedState[applicationNumber];
-  const docDateStr = latestDoc.date.toISOString().split('T')[0];
-  const isNew = isNewDocument(latestDoc.date, lastProcessedDate, todayDate);
+  // Any document not seen before is new, including a second one dated the same day
+  const firstCheck = needsBaseline(lastProcessedState, applicationNumber);
+  const newDocs = selectNewDocuments(lastProcessedState, applicationNumber, fetchResult.docs, todayDate);
 
-  if (!isNew) {
-    console.log(`⏭️ Skipping ${type} #${applicationNumber} - document date ${docDateStr} is not new (last processed: ${lastProcessedDate || 'never'})`);
-    return { processed: false, reason: 'not_new', docDate: latestDoc.date };
+  // Close deadlines answered by any document in the list, not just the new ones; on a first check the
+  // documents recorded as seen are docketed first
+  try {
+    if (firstCheck) {
+      await docketExistingDocuments(matter, fetchResult.docs.filter(doc => !newDocs.includes(doc)), fetchResult.docs, type);
+    } else {
+      await closeAnsweredDeadlines(matter, fetchResult.docs);
+    }
+  } catch (error) {
+    console.error(`❌ Error closing deadlines for ${applicationNumber}:`, error.message);
   }
 
-  console.log(`🆕 NEW document found for ${type} #${applicationNumber}:`);
-  console.log(`   Date: ${docDateStr}`);
-  console.log(`   Description: ${latestDoc.description}`);
-  if (latestDoc.documentCode) console.log(`   Document Code: ${latestDoc.documentCode}`);
-  if (latestDoc.category) console.log(`   Category: ${latestDoc.category}`);
-  console.log(`   Link: ${latestDoc.link}`);
+  if (newDocs.length === 0) {
+    const lastProcessedDate = getLastProcessedDate(lastProcessedState, applicationNumber);
+    console.log(`⏭️ Skipping ${type} #${applicationNumber} - no unseen documents (last processed: ${lastProcessedDate || 'never'})`);
+    return { processed: false, reason: 'not_new', fetchStatus: 'ok', docDate: fetchResult.docs[0].date };
+  }
 
-  // Download and upload to Google Drive
-  latestDoc = await downloadAndUploadToDrive(applicationNumber, latestDoc, type);
+  // Only notified documents count as updates; archived and ignored ones (direction policy) are just marked seen
+  const notifiedDocs = [];
+  for (const document of newDocs) {
+    const docDateStr = document.date.toISOString().split('T')[0];
+    console.log(`🆕 NEW document found for ${type} #${applicationNumber}:`);
+    console.log(`   Date: ${docDateStr}`);
+    console.log(`   Description: ${document.description}`);
+    if (document.documentCode) console.log(`   Document Code: ${document.documentCode}`);
+    if (document.category) console.log(`   Category: ${document.category}`);
+    console.log(`   Link: ${document.link}`);
+
+    const { classification } = await processSingleDocument(matter, document, type);
+    if (classification.action === 'notify') notifiedDocs.push(document);
+
+    // Recorded per document, so one that fails later in the loop is not marked as seen
+    markSeen(lastProcessedState, applicationNumber, document);
+  }
 
-  // Send email notification
-  await sendEmailNotification(applicationNumber, latestDoc, type);
+  if (notifiedDocs.length === 0) {
+    console.log(`⏭️ ${type} #${applicationNumber} - ${newDocs.length} new document(s) archived or ignored by the direction policy`);
+    return { processed: false, reason: 'not_new', fetchStatus: 'ok', docDate: newDocs[0].date };
+  }
 
-  // Update Lawmatics via API
-  await updateLawmaticsProspect(lawmaticsID, applicationNumber, latestDoc, type);
+  return { processed: true, fetchStatus: 'ok', docDate: notifiedDocs[0].date, docCount: notifiedDocs.length };
+}
 
-  // Get prospect data and submit form via Puppeteer
-  const prospectData = await getProspect(lawmaticsID);
-  if (prospectData) {
-    await submitFormWithPuppeteer(lawmaticsID, applicationNumber, latestDoc, type, prospectData);
-  } else {
-    console.log(`⚠️ Could not fetch prospect data for ${lawmaticsID}, skipping form submission`);
+/**
+ * Archive the full document history of a matter to Drive and record it as seen.
+ * Nothing is emailed or submitted to Lawmatics: these documents predate monitoring.
+ *
+ * Returns { status, total, archived, failed, alreadySeen, error } where status is the fetch status.
+ */
+async function backfillMatter(matter) {
+  const { applicationNumber, type } = matter;
+  console.log(`\n🗄️ Backfilling ${type} #${applicationNumber}...`);
+
+  const fetchResult = type === 'Patent'
+    ? await fetchPatentDoc(applicationNumber)
+    : await fetchTrademarkDoc(applicationNumber);
+  if (!['ok', 'empty'].includes(fetchResult.status)) {
+    return { status: fetchResult.status, total: 0, archived: 0, failed: 0, alreadySeen: 0, error: fetchResult.error };
+  }
+
+  const docs = fetchResult.docs;
+  const state = await loadLastProcessedState([matter]);
+  const pending = selectBackfillDocuments(state, applicationNumber, docs);
+  const failedDocs = [];
+  let archived = 0;
+
+  for (const document of pending) {
+    const uploaded = await downloadAndUploadToDrive(applicationNumber, document, type);
+    if (uploaded.driveLink) {
+      archived++;
+    } else if (document.link && document.link !== 'N/A') {
+      failedDocs.push(document);
+    }
+    await new Promise(r => setTimeout(r, 1000));
   }
 
-  // ✅ CRITICAL FIX: Update with the ACTUAL document date, not today's date
-  lastProcessedState[applicationNumber] = docDateStr; // ← Store document date, not today's date
+  // The history gets its deadlines docketed too (documents that already produced one are skipped)
+  try {
+    await docketExistingDocuments(matter, docs, docs, type);
+  } catch (error) {
+    console.error(`❌ Error docketing deadlines for ${applicationNumber}:`, error.message);
+  }
 
-  return { processed: true, docDate: latestDoc.date };
+  // Merged into the matter's stored state, which both monitors read
+  recordBackfill(state, applicationNumber, docs, failedDocs);
+  await saveLastProcessedState(state, [matter]);
+
+  const summary = {
+    status: fetchResult.status,
+    total: docs.length,
+    archived,
+    failed: failedDocs.length,
+    alreadySeen: docs.length - pending.length,
+    error: null
+  };
+  console.log(`✅ Backfill of ${type} #${applicationNumber}: ${archived} archived, ${summary.failed} failed, ${summary.alreadySeen} already seen`);
+  return summary;
 }
 
 /**
@@ -723,57 +893,84 @@ async function processMatter(matter, lastProcessedState, todayDate) {
 async function processAllMatters() {
   try {
     const matters = await loadMatterMap();
-    const lastProcessedState = await loadLastProcessedState();
+    const lastProcessedState = stateFromMatters(matters, await loadLegacyProcessedState());
     const todayDate = getTodayDateKey();
     
     if (matters.length === 0) {
-      console.log("❌ No matters found in map.json");
-      return;
+      console.log("❌ No matters found in the database");
+      return { processed: 0, total: 0, failed: 0, degraded: false };
     }
 
     console.log(`📋 Found ${matters.length} matters to process`);
     console.log(`📅 Today's date: ${todayDate}`);
+
+    // Least recently checked first (never checked before all), so a run cut short by the budget starves no matter
+    const checkedAt = matter => (matter.processedState?.checkedAt ? new Date(matter.processedState.checkedAt).getTime() : 0);
+    matters.sort((a, b) => checkedAt(a) - checkedAt(b));
     
-    // Check if USPTO API key is available
-    if (!process.env.USPTO_API_KEY) {
-      console.warn("⚠️ USPTO_API_KEY environment variable not set. Using default key which may have rate limits.");
-    }
-    
-    let processedCount = 0;
-    const results = [];
-    
-    // Process each matter sequentially
-    for (const matter of matters) {
-      const result = await processMatter(matter, lastProcessedState, todayDate);
-      results.push({ ...matter, ...result });
-      
-      if (result.processed) {
-        processedCount++;
+    // Check matters in parallel; USPTO requests are paced per host and Lawmatics writes go one at a time
+    const startedAt = Date.now();
+    const { results: checked, skipped } = await runPool(matters, async matter => {
+      let result;
+      try {
+        result = await processMatter(matter, lastProcessedState, todayDate);
+      } catch (error) {
+        // One broken matter must not take the rest of the run down with it
+        console.error(`❌ Error processing ${matter.type} #${matter.applicationNumber}:`, error.message);
+        result = { processed: false, reason: 'fetch_error', fetchStatus: 'error', description: error.message };
       }
-      
-      // Add a small delay between processing matters
-      await new Promise(r => setTimeout(r, 2000));
+      // Saved right away, also after an error, so the documents handled so far are never sent again
+      try {
+        await saveLastProcessedState(lastProcessedState, [matter]);
+        await Matter.updateStatus(matter._id, matterStatusFor(result));
+      } catch (error) {
+        console.error(`❌ Error saving the check of ${matter.type} #${matter.applicationNumber}:`, error.message);
+      }
+      return { ...matter, ...result };
+    }, { concurrency: MONITOR_CONCURRENCY, shouldStop: () => Date.now() - startedAt > RUN_BUDGET_MS });
+
+    const results = checked.filter(Boolean);
+    if (skipped.length > 0) {
+      console.log(`⏱️ Budget of ${RUN_BUDGET_MS / 60000} minutes spent; ${skipped.length} matters are checked first next run`);
     }
+    const processedCount = results.filter(result => result.processed).length;
     
-    // Save the updated state
-    await saveLastProcessedState(lastProcessedState);
-    
+    // Matters the USPTO could not be asked about; outages and throttling make the run degraded
+    const failedMatters = results.filter(result => result.fetchStatus && !['ok', 'empty'].includes(result.fetchStatus));
+    const degraded = failedMatters.some(result => isDegraded(result.fetchStatus));
+
     // Log summary
-    console.log(`\n📊 PROCESSING SUMMARY:`);
+    console.log(`\n📊 PROCESSING SUMMARY${degraded ? ' (DEGRADED)' : ''}:`);
     console.log(`   Total matters: ${matters.length}`);
     console.log(`   New documents processed: ${processedCount}`);
-    console.log(`   Skipped (no new docs): ${matters.length - processedCount}`);
+    console.log(`   Not checked (fetch failed): ${failedMatters.length}`);
+    console.log(`   Not checked (budget spent): ${skipped.length}`);
+    console.log(`   Skipped (no new docs): ${results.length - processedCount - failedMatters.length}`);
     
-    // Send confirmation email if no new documents were found
-    if (processedCount === 0) {
+    if (failedMatters.length > 0) {
+      await sendFetchFailureEmail(failedMatters, matters.length, degraded);
+      console.log(`⚠️ ${failedMatters.length} matters could not be checked - alert email sent`);
+    }
+
+    // Send confirmation email only when every matter was actually checked
+    if (processedCount === 0 && failedMatters.length === 0 && skipped.length === 0) {
       await sendConfirmationEmail(processedCount, matters.length);
       console.log('✅ All matters are up to date - confirmation email sent');
-    } else {
+    } else if (processedCount > 0) {
       console.log(`🎉 Processed ${processedCount} new documents successfully!`);
     }
+
+    return {
+      processed: processedCount,
+      total: matters.length,
+      failed: failedMatters.length,
+      notStarted: skipped.length,
+      degraded
+    };
     
   } catch (error) {
     console.error("❌ Error in main process:", error.message);
+    return { processed: 0, total: 0, failed: 0, degraded: true, error: error.message };
   }
 }
 
@@ -793,10 +990,6 @@ const runJob = async () => {
 // Start the service
 console.log('🚀 Starting Unified USPTO Monitoring Service...');
 
-// Load and display applications to monitor
-const mapData = JSON.parse(fs.readFileSync(mapDataPath, 'utf-8'));
-console.log('📊 Applications to monitor:', mapData.length);
-
 // Run daily at 12:00 PM (adjust timezone as needed)
 cron.schedule('0 12 * * *', runJob, {
   timezone: "America/New_York" // Adjust to your timezone
@@ -822,12 +1015,34 @@ if (process.argv.includes('--run-now')) {
 /**
  * Reset state for specific applications (for debugging)
  */
-async function resetApplicationState(applicationNumber) {
-  const lastProcessedState = await loadLastProcessedState();
+async function resetApplicationState(applicationNumber, actor = systemActor('cli')) {
+  await connectDB();
+  const matter = await Matter.findOne({ applicationNumber }, { applicationNumber: 1 }).lean();
+  const lastProcessedState = matter ? await loadLastProcessedState([matter]) : await loadLegacyProcessedState();
   if (lastProcessedState[applicationNumber]) {
-    delete lastProcessedState[applicationNumber];
-    await saveLastProcessedState(lastProcessedState);
+    const previousDate = getLastProcessedDate(lastProcessedState, applicationNumber);
+    const previousSeen = lastProcessedState[applicationNumber].seen?.length || 0;
+    if (matter) {
+      await Matter.updateOne({ _id: matter._id }, { $unset: { processedState: '' } });
+    }
+    // Also out of the state file, which would otherwise fill in for the matter again
+    await updateJson(STATE_FILE, state => {
+      delete state[applicationNumber];
+      return state;
+    }, { defaultValue: {} });
     console.log(`✅ Reset state for application ${applicationNumber}`);
+
+    try {
+      await recordAudit({
+        actor,
+        action: 'state.reset',
+        matter: matter || { applicationNumber },
+        before: { lastProcessedDate: previousDate, seenDocuments: previousSeen },
+        after: { lastProcessedDate: null, seenDocuments: 0 }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to audit state reset for ${applicationNumber}:`, error.message);
+    }
   }
 }
 
@@ -835,7 +1050,11 @@ async function resetApplicationState(applicationNumber) {
  * View current state for debugging
  */
 async function viewApplicationState(applicationNumber) {
-  const lastProcessedState = await loadLastProcessedState();
+  await connectDB();
+  const matter = await Matter.findOne({ applicationNumber }, { applicationNumber: 1 }).lean();
+  const lastProcessedState = matter
+    ? await loadLastProcessedState([matter])
+    : await loadLegacyProcessedState();
   console.log(`📊 State for ${applicationNumber}:`, lastProcessedState[applicationNumber] || 'never processed');
 }
 
@@ -867,16 +1086,16 @@ if (process.argv.includes('--test-one')) {
     console.log(`🧪 Running full test for application ${appNumber}...`);
 
     try {
-      // 1️⃣ Load all matters
-      const allMatters = await loadMatterMap();
-      const matter = allMatters.find(m => m.applicationNumber === appNumber);
+      // 1️⃣ Load the matter
+      await connectDB();
+      const matter = await Matter.findOne({ applicationNumber: appNumber }).lean();
       if (!matter) {
-        console.error(`❌ Matter ${appNumber} not found in map.json`);
+        console.error(`❌ Matter ${appNumber} not found in the database`);
         process.exit(1);
       }
 
       // 2️⃣ Use REAL state, not fake state
-      const lastProcessedState = await loadLastProcessedState();
+      const lastProcessedState = await loadLastProcessedState([matter]);
       const todayDate = getTodayDateKey();
 
       console.log(`📊 Current state for ${appNumber}:`, lastProcessedState[appNumber] || 'never processed');
@@ -885,7 +1104,7 @@ if (process.argv.includes('--test-one')) {
       const result = await processMatter(matter, lastProcessedState, todayDate);
 
       // 4️⃣ ✅ SAVE THE STATE in test mode too!
-      await saveLastProcessedState(lastProcessedState);
+      await saveLastProcessedState(lastProcessedState, [matter]);
 
       console.log('✅ Full process test completed successfully.');
       console.log('Result:', result);
@@ -924,13 +1143,13 @@ module.exports = {
   // Main processing functions
   processMatter,
   processAllMatters,
+  backfillMatter,
   runJob,
   
   // Date tracking functions
   loadLastProcessedState,
   saveLastProcessedState,
   getTodayDateKey,
-  isNewDocument,
   
   // Core API functions
   fetchPatentDoc,
@@ -941,6 +1160,7 @@ module.exports = {
   submitFormWithPuppeteer,
   sendEmailNotification,
   sendConfirmationEmail,
+  sendFetchFailureEmail,
   
   // Utility functions
   loadMatterMap,
@@ -0,0 +1,40 @@
+import { connectDB } from '../config/database';
+import { findEscalatedDeadlines } from '../lib/deadlines';
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET.'
+    });
+  }
+
+  try {
+    await connectDB();
+    const escalated = await findEscalatedDeadlines();
+
+    res.status(200).json({
+      success: true,
+      data: escalated.map(({ deadline, ...item }) => ({ ...item, ruleId: deadline.ruleId, deadlineLabel: deadline.label })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ API deadlines error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
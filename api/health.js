@@ -13,12 +13,13 @@ export default async function handler(req, res) {
         cron_jobs: true
       },
       schedule: {
-        '6-hour_checks': 'Every 6 hours (0, 6, 12, 18 UTC)',
+        monitor_runs: `Every ${process.env.MONITOR_SWEEP_INTERVAL_HOURS || 6} hours, continued by the cron every 15 minutes until done`,
         daily_report: '9:00 AM daily',
         endpoints: {
           manual_trigger: 'POST /api/monitor',
           generate_report: 'POST /api/report',
-          health_check: 'GET /api/health'
+          health_check: 'GET /api/health',
+          deadlines: 'GET /api/deadlines'
         }
       }
     });
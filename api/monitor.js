@@ -33,12 +33,18 @@ export default async function handler(req, res) {
   try {
     console.log('🚀 Triggering USPTO monitoring via API...');
     
-    // Start monitoring job
-    const result = await runJob();
+    // Start a run even if the last one was recent, or continue the run in progress
+    const result = await runJob({ force: true });
     
     res.status(200).json({
       success: true,
-      message: 'USPTO monitoring completed successfully',
+      message: result?.busy
+        ? 'USPTO monitoring run is already being worked on by another invocation'
+        : result?.complete === false
+          ? `USPTO monitoring run in progress: ${result.mattersChecked} matters checked so far; call again to continue`
+          : result?.degraded
+            ? `USPTO monitoring completed degraded: ${result.failedMatters} matters could not be checked`
+            : 'USPTO monitoring completed successfully',
       data: result,
       timestamp: new Date().toISOString()
     });
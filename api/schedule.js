@@ -1,8 +1,9 @@
 import { runJob } from '../lib/unified-uspto-monitor';
 
 export default async function handler(req, res) {
-  // This endpoint is called by Vercel Cron every 6 hours
-  console.log('⏰ 6-Hour Scheduled Check Triggered');
+  // This endpoint is called by Vercel Cron every 15 minutes: each call continues the run in progress, and a
+  // new run starts once MONITOR_SWEEP_INTERVAL_HOURS (default 6) have passed since the previous one started
+  console.log('⏰ Scheduled Check Triggered');
   console.log('📅 Date:', new Date().toISOString());
   
   try {
@@ -10,7 +11,15 @@ export default async function handler(req, res) {
     
     res.status(200).json({
       success: true,
-      message: '6-hour scheduled check completed',
+      message: result?.notDue
+        ? `No run due; the next one starts at ${result.nextDueAt}`
+        : result?.busy
+          ? 'Scheduled run is being worked on by another invocation'
+          : result?.complete === false
+            ? `Scheduled run in progress: ${result.mattersChecked} matters checked so far`
+            : result?.degraded
+              ? `Scheduled run completed degraded: ${result.failedMatters} matters could not be checked`
+              : 'Scheduled run completed',
       data: result,
       timestamp: new Date().toISOString()
     });
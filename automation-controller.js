@@ -2,6 +2,13 @@
 const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
+const mongoose = require('mongoose');
+const Matter = require('./models/Matter');
+const { isMonitored } = require('./models/Matter');
+const { recordAudit } = require('./lib/audit');
+const { readJsonSync, writeJson } = require('./lib/jsonStore');
+const { isDegraded, matterStatusFor } = require('./lib/fetchResult');
+const { createLane } = require('./lib/workerPool');
 
 // Import ALL functions from the main automation file
 const automation = require('./Googlecron');
@@ -21,6 +28,8 @@ class AutomationController {
     this.isRunning = false;
     this.lastRun = null;
     this.currentlyProcessing = new Set();
+    // Full runs, backfills and checks of single matters take turns, so they never work on the same documents at once
+    this.stateLane = createLane();
     this.lastStatusLog = 0;
     this.statusLogInterval = 30000; // Log status only every 30 seconds
     
@@ -37,10 +46,8 @@ class AutomationController {
   // Load status from file
   loadStatus() {
     try {
-      if (fs.existsSync(STATUS_FILE)) {
-        const data = fs.readFileSync(STATUS_FILE, 'utf8');
-        const status = JSON.parse(data);
-        
+      const status = readJsonSync(STATUS_FILE);
+      if (status) {
         // Restore basic state
         this.isRunning = status.running || false;
         this.lastRun = status.lastRun ? new Date(status.lastRun) : null;
@@ -60,31 +67,34 @@ class AutomationController {
     } catch (error) {
       console.error('❌ Error loading automation status:', error.message);
       this.resetToDefault();
+      recordAudit({ actor: 'system', action: 'automation.status_reset', details: { error: error.message } })
+        .catch(auditError => console.error('❌ Failed to audit status reset:', auditError.message));
     }
   }
 
-  // Save status to file (with reduced logging)
+  // Save status to file (atomic and lock-protected, with reduced logging).
+  // No backups: the status is rewritten every 30 seconds and a lost one only resets to defaults.
   saveStatus() {
-    try {
-      const status = {
-        enabled: !!this.cronJob,
-        running: this.isRunning,
-        lastRun: this.lastRun,
-        currentlyProcessing: Array.from(this.currentlyProcessing),
-        lastUpdated: new Date().toISOString()
-      };
-      
-      fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2));
-      
-      // Only log state saving when something important changes
-      const now = Date.now();
-      if (now - this.lastStatusLog > this.statusLogInterval) {
-        console.log('💾 State file updated');
-        this.lastStatusLog = now;
-      }
-    } catch (error) {
-      console.error('❌ Error saving automation status:', error.message);
-    }
+    const status = {
+      enabled: !!this.cronJob,
+      running: this.isRunning,
+      lastRun: this.lastRun,
+      currentlyProcessing: Array.from(this.currentlyProcessing),
+      lastUpdated: new Date().toISOString()
+    };
+
+    return writeJson(STATUS_FILE, status, { backups: 0 })
+      .then(() => {
+        // Only log state saving when something important changes
+        const now = Date.now();
+        if (now - this.lastStatusLog > this.statusLogInterval) {
+          console.log('💾 State file updated');
+          this.lastStatusLog = now;
+        }
+      })
+      .catch(error => {
+        console.error('❌ Error saving automation status:', error.message);
+      });
   }
 
   // Reset to default state
@@ -103,132 +113,203 @@ class AutomationController {
     this.saveStatus();
   }
 
-  // Load matters from map.json
-  loadMatters() {
+  // Load matters from the database (soft-deleted matters excluded)
+  async loadMatters() {
     try {
-      const mapDataPath = path.join(__dirname, 'map.json');
-      if (fs.existsSync(mapDataPath)) {
-        const data = fs.readFileSync(mapDataPath, 'utf8');
-        const matters = JSON.parse(data);
-        return matters;
-      }
-      console.log('⚠️ No matters found in map.json');
-      return [];
+      return await Matter.find({ deletedAt: null }).sort({ _id: 1 }).lean();
     } catch (error) {
       console.error('❌ Error loading matters:', error.message);
       return [];
     }
   }
 
-  // Update matter status in map.json (with reduced logging)
-  async updateMatterStatus(lawmaticsId, status) {
+  // Update a single matter's status in the database (with reduced logging)
+  async updateMatterStatus(matterId, status) {
     try {
-      const mapDataPath = path.join(__dirname, 'map.json');
-      const matters = this.loadMatters();
-      
-      const matterIndex = matters.findIndex(m => m.lawmaticsID === lawmaticsId);
-      if (matterIndex !== -1) {
-        const oldStatus = matters[matterIndex].status;
-        matters[matterIndex].status = status;
-        matters[matterIndex].lastUpdated = new Date().toISOString();
-        
-        fs.writeFileSync(mapDataPath, JSON.stringify(matters, null, 2));
-        
+      const previous = await Matter.updateStatus(matterId, status);
+      if (previous) {
         // Only log if status actually changed
-        if (oldStatus !== status) {
-          console.log(`✅ Updated matter ${lawmaticsId} status: ${oldStatus} → ${status}`);
+        if (previous.status !== status) {
+          console.log(`✅ Updated matter ${matterId} (${previous.applicationNumber}) status: ${previous.status} → ${status}`);
         }
         return true;
       }
       return false;
     } catch (error) {
-      console.error(`❌ Error updating matter ${lawmaticsId} status:`, error.message);
+      console.error(`❌ Error updating matter ${matterId} status:`, error.message);
       return false;
     }
   }
 
-  // Get specific matters by Lawmatics IDs
-  getMattersByIds(lawmaticsIds) {
-    const allMatters = this.loadMatters();
-    return allMatters.filter(matter => lawmaticsIds.includes(matter.lawmaticsID));
+  // Get specific matters by their matter IDs
+  async getMattersByIds(matterIds) {
+    const validIds = matterIds.filter(id => mongoose.isValidObjectId(id));
+    return Matter.find({ _id: { $in: validIds }, deletedAt: null }).sort({ _id: 1 }).lean();
+  }
+
+  // Explain why a matter is not monitored, or null if it is
+  getNotMonitoredReason(matter) {
+    if (isMonitored(matter)) return null;
+    if (matter.monitoringState === 'archived') {
+      return `Matter is archived (${matter.archiveReason})`;
+    }
+    return matter.pausedUntil
+      ? `Matter is paused until ${new Date(matter.pausedUntil).toISOString().split('T')[0]}`
+      : 'Matter is paused';
   }
 
   // Process single matter
-    // Process single matter
-  async processSingleMatter(lawmaticsId) {
-    if (this.currentlyProcessing.has(lawmaticsId)) {
+  async processSingleMatter(matterId) {
+    if (this.currentlyProcessing.has(matterId)) {
       return { success: false, message: 'Matter is already being processed' };
     }
 
     try {
-      this.currentlyProcessing.add(lawmaticsId);
+      this.currentlyProcessing.add(matterId);
       this.saveStatus();
       
-      await this.updateMatterStatus(lawmaticsId, 'Processing...');
-      
-      const matters = this.getMattersByIds([lawmaticsId]);
+      const matters = await this.getMattersByIds([matterId]);
       if (matters.length === 0) {
-        await this.updateMatterStatus(lawmaticsId, 'Failed - Not Found');
         return { success: false, message: 'Matter not found' };
       }
 
+      const notMonitoredReason = this.getNotMonitoredReason(matters[0]);
+      if (notMonitoredReason) {
+        return { success: false, message: `${notMonitoredReason} - resume it to run automation` };
+      }
+
+      await this.updateMatterStatus(matterId, 'Processing...');
+
       const matter = matters[0];
       console.log(`🚀 Processing single matter: ${matter.applicationNumber} (${matter.type})`);
       
-      const lastProcessedState = await automation.loadLastProcessedState();
-      const todayDate = automation.getTodayDateKey();
-      
-      const result = await automation.processMatter(matter, lastProcessedState, todayDate);
-      
-      await automation.saveLastProcessedState(lastProcessedState);
+      const result = await this.stateLane(() => this.checkMatter(matter));
       
       this.lastRun = new Date();
       this.saveStatus();
       
-      const finalStatus = result.processed ? 'Automation Completed' : 'No Updates Found';
-      await this.updateMatterStatus(lawmaticsId, finalStatus);
+      const finalStatus = matterStatusFor(result);
+      await this.updateMatterStatus(matterId, finalStatus);
       
+      // A failed USPTO lookup is not a successful "no new documents" check
+      const fetchFailed = result.fetchStatus && !['ok', 'empty'].includes(result.fetchStatus);
       return {
-        success: true,
+        success: !fetchFailed,
         matter: matter,
         processed: result.processed,
-        message: result.processed ? 'New document processed' : 'No new documents found'
+        fetchStatus: result.fetchStatus,
+        message: fetchFailed
+          ? `Could not check the USPTO (${result.fetchStatus}): ${result.description}`
+          : result.processed ? 'New document processed' : 'No new documents found'
       };
     } catch (error) {
-      console.error(`❌ Error processing matter ${lawmaticsId}:`, error.message);
-      await this.updateMatterStatus(lawmaticsId, 'Failed');
+      console.error(`❌ Error processing matter ${matterId}:`, error.message);
+      await this.updateMatterStatus(matterId, 'Failed');
       return { success: false, message: error.message };
     } finally {
-      this.currentlyProcessing.delete(lawmaticsId);
+      this.currentlyProcessing.delete(matterId);
       this.saveStatus();
     }
   }
 
+  // Check one matter against the state stored now and save what it processed. Run it on stateLane, so it
+  // takes turns with full runs and backfills instead of working on the same documents at the same time.
+  async checkMatter(matter) {
+    const lastProcessedState = await automation.loadLastProcessedState([matter]);
+    const result = await automation.processMatter(matter, lastProcessedState, automation.getTodayDateKey());
+    await automation.saveLastProcessedState(lastProcessedState, [matter]);
+    return result;
+  }
+
+  // Start archiving a matter's full document history to Drive. It runs in the background, queued with
+  // full runs; the returned `done` promise settles with the backfill result.
+  // requestedBy: { actor, claimedActor } of the request, see lib/audit.js
+  async startBackfill(matterId, requestedBy) {
+    const matters = await this.getMattersByIds([matterId]);
+    if (matters.length === 0) {
+      return { success: false, reason: 'not_found', message: 'Matter not found' };
+    }
+
+    const matter = await Matter.claimBackfill(matters[0]._id);
+    if (!matter) {
+      return { success: false, reason: 'busy', matter: matters[0], message: 'A backfill is already running for this matter' };
+    }
+
+    const done = this.stateLane(() => this.runBackfill(matter, requestedBy)).catch(error => {
+      console.error(`❌ Backfill of ${matter.applicationNumber} did not run:`, error.message);
+      return null;
+    });
+    return { success: true, matter, done, message: `Backfill queued for ${matter.applicationNumber}` };
+  }
+
+  // Backfill a claimed matter and record the outcome on it (never throws)
+  async runBackfill(matter, requestedBy = {}) {
+    let backfill;
+    try {
+      const result = await automation.backfillMatter(matter);
+      backfill = {
+        state: result.error ? 'failed' : 'completed',
+        startedAt: matter.backfill.startedAt,
+        completedAt: new Date(),
+        total: result.total,
+        archived: result.archived,
+        failed: result.failed,
+        alreadySeen: result.alreadySeen,
+        error: result.error
+      };
+    } catch (error) {
+      console.error(`❌ Backfill failed for ${matter.applicationNumber}:`, error.message);
+      backfill = { state: 'failed', startedAt: matter.backfill.startedAt, completedAt: new Date(), error: error.message };
+    }
+
+    try {
+      await Matter.updateOne({ _id: matter._id }, { $set: { backfill } });
+    } catch (error) {
+      console.error(`❌ Error saving backfill result for ${matter.applicationNumber}:`, error.message);
+    }
+    await recordAudit({ ...requestedBy, action: 'matter.backfill', matter, after: { backfill } });
+    return backfill;
+  }
+
   // Process multiple matters
-// Process multiple matters
-async processMultipleMatters(lawmaticsIds) {
-    const matters = this.getMattersByIds(lawmaticsIds);
+  async processMultipleMatters(matterIds) {
+    const requestedMatters = await this.getMattersByIds(matterIds);
+    const results = [];
+
+    // Paused and archived matters are reported but not processed
+    const matters = requestedMatters.filter(matter => {
+      const notMonitoredReason = this.getNotMonitoredReason(matter);
+      if (notMonitoredReason) {
+        results.push({
+          matterId: String(matter._id),
+          lawmaticsId: matter.lawmaticsID,
+          success: false,
+          applicationNumber: matter.applicationNumber,
+          message: notMonitoredReason
+        });
+      }
+      return !notMonitoredReason;
+    });
     
     if (matters.length === 0) {
-      return { success: false, message: 'No valid matters found' };
+      return { success: false, message: 'No valid matters found', results };
     }
   
     console.log(`🚀 Processing ${matters.length} matters...`);
     
-    const results = [];
-    const lastProcessedState = await automation.loadLastProcessedState();
-    const todayDate = automation.getTodayDateKey();
-  
     // Update all matters to processing status
     for (const matter of matters) {
-      await this.updateMatterStatus(matter.lawmaticsID, 'Processing...');
+      await this.updateMatterStatus(matter._id, 'Processing...');
     }
   
     let processedCount = 0;
   
     for (const matter of matters) {
-      if (this.currentlyProcessing.has(matter.lawmaticsID)) {
+      const matterId = String(matter._id);
+
+      if (this.currentlyProcessing.has(matterId)) {
         results.push({
+          matterId,
           lawmaticsId: matter.lawmaticsID,
           success: false,
           message: 'Already being processed'
@@ -237,44 +318,47 @@ async processMultipleMatters(lawmaticsIds) {
       }
   
       try {
-        this.currentlyProcessing.add(matter.lawmaticsID);
+        this.currentlyProcessing.add(matterId);
         this.saveStatus();
         
-        const result = await automation.processMatter(matter, lastProcessedState, todayDate);
+        const result = await this.stateLane(() => this.checkMatter(matter));
         
         if (result.processed) {
           processedCount++;
         }
         
-        const finalStatus = result.processed ? 'Automation Completed' : 'No Updates Found';
-        await this.updateMatterStatus(matter.lawmaticsID, finalStatus);
+        const finalStatus = matterStatusFor(result);
+        await this.updateMatterStatus(matterId, finalStatus);
         
+        const fetchFailed = result.fetchStatus && !['ok', 'empty'].includes(result.fetchStatus);
         results.push({
+          matterId,
           lawmaticsId: matter.lawmaticsID,
-          success: true,
+          success: !fetchFailed,
           processed: result.processed,
+          fetchStatus: result.fetchStatus,
           applicationNumber: matter.applicationNumber,
-          message: result.processed ? 'New document processed' : 'No new documents'
+          message: fetchFailed
+            ? `Could not check the USPTO (${result.fetchStatus}): ${result.description}`
+            : result.processed ? 'New document processed' : 'No new documents'
         });
       } catch (error) {
-        console.error(`❌ Error processing matter ${matter.lawmaticsID}:`, error.message);
-        await this.updateMatterStatus(matter.lawmaticsID, 'Failed');
+        console.error(`❌ Error processing matter ${matterId}:`, error.message);
+        await this.updateMatterStatus(matterId, 'Failed');
         results.push({
+          matterId,
           lawmaticsId: matter.lawmaticsID,
           success: false,
           message: error.message
         });
       } finally {
-        this.currentlyProcessing.delete(matter.lawmaticsID);
+        this.currentlyProcessing.delete(matterId);
         this.saveStatus();
       }
   
       await new Promise(r => setTimeout(r, 1000));
     }
   
-    // Save the updated state after processing all matters
-    await automation.saveLastProcessedState(lastProcessedState);
-    
     this.lastRun = new Date();
     this.saveStatus();
     
@@ -283,8 +367,15 @@ async processMultipleMatters(lawmaticsIds) {
     console.log(`✅ Multiple matters processing completed:`);
     console.log(`   Total: ${matters.length}, Successful: ${successCount}, New Documents: ${processedCount}`);
     
+    // Matters the USPTO could not be asked about must not be reported as up to date
+    const failedMatters = results.filter(r => r.fetchStatus && !['ok', 'empty'].includes(r.fetchStatus));
+    if (failedMatters.length > 0) {
+      const failed = failedMatters.map(r => ({ ...r, type: matters.find(m => String(m._id) === r.matterId)?.type, description: r.message }));
+      await automation.sendFetchFailureEmail(failed, matters.length, failedMatters.some(r => isDegraded(r.fetchStatus)));
+    }
+
     // 🔥 ADD THIS: Send confirmation email if no new documents were found
-    if (processedCount === 0) {
+    if (processedCount === 0 && failedMatters.length === 0) {
       try {
         console.log('📧 Sending consolidated confirmation email...');
         await automation.sendConfirmationEmail(processedCount, matters.length);
@@ -296,6 +387,7 @@ async processMultipleMatters(lawmaticsIds) {
     
     return {
       success: true,
+      degraded: failedMatters.some(r => isDegraded(r.fetchStatus)),
       total: matters.length,
       successful: successCount,
       processed: processedCount,
@@ -320,7 +412,7 @@ async processMultipleMatters(lawmaticsIds) {
         
         try {
           console.log('⏰ Running scheduled automation...');
-          const result = await automation.processAllMatters();
+          const result = await this.stateLane(() => automation.processAllMatters());
           this.lastRun = new Date();
           console.log(`✅ Scheduled automation completed: ${result.processed} new documents`);
         } catch (error) {
@@ -366,17 +458,22 @@ async processMultipleMatters(lawmaticsIds) {
     
     try {
       console.log('🔃 Running automation once (all matters)...');
-      const result = await automation.processAllMatters();
+      const result = await this.stateLane(() => automation.processAllMatters());
       this.lastRun = new Date();
       
-      console.log(`✅ Manual automation completed: ${result.processed} new documents out of ${result.total} matters`);
+      console.log(`✅ Manual automation completed: ${result.processed} new documents out of ${result.total} matters${result.degraded ? ` (degraded, ${result.failed} not checked)` : ''}`);
       this.saveStatus();
       
       return {
-        success: true,
+        success: !result.error,
+        degraded: result.degraded,
         processed: result.processed,
         total: result.total,
-        message: `Processed ${result.processed} new documents out of ${result.total} matters`
+        failed: result.failed,
+        message: result.error
+          ? result.error
+          : `Processed ${result.processed} new documents out of ${result.total} matters` +
+            (result.failed > 0 ? `; ${result.failed} matters could not be checked` : '')
       };
     } catch (error) {
       console.error('❌ Error running automation once:', error.message);
@@ -415,15 +512,17 @@ async processMultipleMatters(lawmaticsIds) {
   }
 
   // Get all matters with their current status
-  getAllMattersStatus() {
-    const matters = this.loadMatters();
+  async getAllMattersStatus() {
+    const matters = await this.loadMatters();
     return matters.map(matter => ({
+      id: String(matter._id),
       applicationNumber: matter.applicationNumber,
       lawmaticsID: matter.lawmaticsID,
       type: matter.type,
       status: matter.status || 'Pending Automation',
       lastUpdated: matter.lastUpdated || null,
-      isProcessing: this.currentlyProcessing.has(matter.lawmaticsID)
+      monitoringState: matter.monitoringState || 'active',
+      isProcessing: this.currentlyProcessing.has(String(matter._id))
     }));
   }
 }
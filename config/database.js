@@ -0,0 +1,39 @@
+// config/database.js
+const mongoose = require('mongoose');
+
+let connectionPromise = null;
+
+/**
+ * Connect to MongoDB once per process and reuse the connection.
+ * Safe to call from the Express server, the monitors and serverless handlers.
+ */
+function connectDB() {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve(mongoose.connection);
+  }
+
+  if (!connectionPromise) {
+    const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+    if (!uri) {
+      return Promise.reject(new Error('MONGO_URI environment variable is not set'));
+    }
+
+    connectionPromise = mongoose.connect(uri)
+      .then(() => {
+        console.log('✅ MongoDB connected successfully');
+        return mongoose.connection;
+      })
+      .catch(err => {
+        connectionPromise = null;
+        console.error('❌ MongoDB connection error:', err.message);
+        console.log('If this is a network error, check MongoDB Atlas Network Access');
+        throw err;
+      });
+  }
+
+  return connectionPromise;
+}
+
+module.exports = {
+  connectDB
+};
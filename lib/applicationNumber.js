@@ -0,0 +1,130 @@
+// lib/applicationNumber.js
+// Validation and canonicalization of USPTO application numbers.
+//
+// Canonical forms:
+//   Patent application (utility, design, provisional, reexam)  8 digits      "29923820"
+//   PCT application (USPTO legacy format)                      PCT/CCYY/N   "PCT/US17/59389"
+//   Trademark serial number                                    8 digits      "97123456"
+//   Trademark registration number                              7 digits      "1234567"
+
+// Two-digit series codes that prefix 8-digit numbers
+const PATENT_SERIES = {
+  design: ['29', '35'],
+  provisional: ['60', '61', '62', '63'],
+  reexamination: ['90', '95', '96']
+};
+const TRADEMARK_SERIES = ['70', '71', '72', '73', '74', '75', '76', '77', '78', '79',
+  '85', '86', '87', '88', '89', '90', '91', '92', '93', '94', '95', '96', '97', '98', '99'];
+
+const PCT_PATTERN = /^PCT\/?([A-Z]{2})\/?(\d{2}|\d{4})\/?(\d{5,6})$/;
+
+function patentKind(series) {
+  if (PATENT_SERIES.design.includes(series)) return 'design';
+  if (PATENT_SERIES.provisional.includes(series)) return 'provisional';
+  if (PATENT_SERIES.reexamination.includes(series)) return 'reexamination';
+  if (Number(series) >= 1 && Number(series) <= 28) return 'utility';
+  return null;
+}
+
+function normalizeType(type) {
+  if (!type) return null;
+  const lower = String(type).trim().toLowerCase();
+  if (lower === 'patent') return 'Patent';
+  if (lower === 'trademark') return 'Trademark';
+  return undefined;
+}
+
+function invalid(raw, reason) {
+  return { valid: false, error: `Invalid application number "${raw}": ${reason}` };
+}
+
+/**
+ * Validate and canonicalize an application number, inferring its type when omitted.
+ *
+ * Returns { valid: true, applicationNumber, type, kind } on success,
+ * or { valid: false, error } with a message suitable for API responses.
+ */
+function parseApplicationNumber(raw, type) {
+  const requestedType = normalizeType(type);
+  if (requestedType === undefined) {
+    return { valid: false, error: `Invalid type "${type}". Expected Patent or Trademark` };
+  }
+
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { valid: false, error: 'Application number is required' };
+  }
+
+  const input = String(raw).trim();
+  const compact = input.toUpperCase().replace(/[\s,.\-]/g, '');
+
+  // PCT/US17/59389, PCT/US2017/059389, PCTUS1759389
+  const pct = compact.match(PCT_PATTERN);
+  if (pct) {
+    if (requestedType === 'Trademark') {
+      return invalid(input, 'PCT numbers are patent applications, not trademarks');
+    }
+    const [, country, year, serial] = pct;
+    const canonical = `PCT/${country}${year.slice(-2)}/${serial.replace(/^0+(?=\d{5})/, '')}`;
+    return { valid: true, applicationNumber: canonical, type: 'Patent', kind: 'pct' };
+  }
+  if (compact.startsWith('PCT')) {
+    return invalid(input, 'PCT numbers must look like PCT/US17/59389 or PCT/US2017/059389');
+  }
+
+  // Strip common prefixes: "US 10/349,115", "SN 97123456", "Reg. No. 1,234,567", "RN1234567"
+  const isRegistration = /^(REGNO|REG|RN)/.test(compact);
+  const digits = compact.replace(/^(US|SN|SERIALNO|REGNO|REG|RN)/, '').replace(/\//g, '');
+
+  if (!/^\d+$/.test(digits)) {
+    return invalid(input, 'only digits, "/" and "," are allowed (or a PCT number)');
+  }
+
+  if (isRegistration || digits.length === 7) {
+    if (requestedType === 'Patent') {
+      return invalid(input, 'patent application numbers have 8 digits (series code + 6-digit serial)');
+    }
+    if (digits.length !== 7) {
+      return invalid(input, 'trademark registration numbers have 7 digits');
+    }
+    return { valid: true, applicationNumber: digits, type: 'Trademark', kind: 'registration' };
+  }
+
+  if (digits.length !== 8) {
+    return invalid(input, `expected 8 digits, got ${digits.length}`);
+  }
+
+  const series = digits.slice(0, 2);
+  const kind = patentKind(series);
+  const isTrademarkSeries = TRADEMARK_SERIES.includes(series);
+
+  if (requestedType === 'Patent') {
+    if (!kind) return invalid(input, `series code ${series} is not a patent application series`);
+    return { valid: true, applicationNumber: digits, type: 'Patent', kind };
+  }
+
+  // Trademark serial series overlap with reexamination control numbers (90, 95, 96);
+  // without an explicit type those are treated as trademarks.
+  if (requestedType === 'Trademark' || (!requestedType && isTrademarkSeries)) {
+    if (!isTrademarkSeries) return invalid(input, `series code ${series} is not a trademark serial series`);
+    return { valid: true, applicationNumber: digits, type: 'Trademark', kind: 'serial' };
+  }
+
+  if (kind) {
+    return { valid: true, applicationNumber: digits, type: 'Patent', kind };
+  }
+  return invalid(input, `unknown series code ${series}`);
+}
+
+/**
+ * Canonical application number for USPTO lookups; falls back to the trimmed input when invalid
+ */
+function canonicalApplicationNumber(raw, type) {
+  const parsed = parseApplicationNumber(raw, type);
+  return parsed.valid ? parsed.applicationNumber : String(raw).trim();
+}
+
+module.exports = {
+  parseApplicationNumber,
+  canonicalApplicationNumber,
+  normalizeType
+};
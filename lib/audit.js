@@ -0,0 +1,77 @@
+// lib/audit.js
+// Append-only audit trail for matter registry and automation actions.
+const AuditLog = require('../models/AuditLog');
+
+const ANONYMOUS = 'anonymous';
+
+/**
+ * Who made a request: { actor, claimedActor }. The API has no login, so the actor is "anonymous";
+ * the X-User-Email header sent by the dashboard is kept as claimedActor and is not verified.
+ */
+function requestActor(req) {
+  const email = req.get('X-User-Email');
+  return { actor: ANONYMOUS, claimedActor: email ? email.trim().toLowerCase() : null };
+}
+
+/**
+ * Actor for command-line and scheduled runs (AUDIT_ACTOR overrides the OS user)
+ */
+function systemActor(name = 'system') {
+  return process.env.AUDIT_ACTOR || `${name}:${process.env.USER || process.env.USERNAME || 'unknown'}`;
+}
+
+/**
+ * Copy the given fields of a matter (document or plain object) for before/after snapshots
+ */
+function snapshot(matter, fields) {
+  if (!matter) return null;
+  const source = typeof matter.toObject === 'function' ? matter.toObject() : matter;
+  const copy = {};
+  for (const field of fields) {
+    copy[field] = source[field] === undefined ? null : source[field];
+  }
+  return copy;
+}
+
+/**
+ * Append an audit entry. Failures are logged and never break the action being audited.
+ *
+ * entry: { actor, claimedActor?, action, matter?, before?, after?, details?, source? }
+ */
+async function recordAudit({ actor, claimedActor = null, action, matter = null, before = null, after = null, details = null, source }) {
+  try {
+    return await AuditLog.create({
+      actor: actor || ANONYMOUS,
+      claimedActor,
+      action,
+      matterId: matter ? matter._id || matter.id || null : null,
+      applicationNumber: matter ? matter.applicationNumber || null : null,
+      before,
+      after,
+      details,
+      source
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit entry for ${action}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Append an audit entry for an HTTP request, taking the actor and source from it
+ */
+function auditRequest(req, entry) {
+  return recordAudit({
+    ...requestActor(req),
+    source: { method: req.method, path: req.originalUrl, ip: req.ip },
+    ...entry
+  });
+}
+
+module.exports = {
+  requestActor,
+  systemActor,
+  snapshot,
+  recordAudit,
+  auditRequest
+};
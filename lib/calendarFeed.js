@@ -0,0 +1,170 @@
+// lib/calendarFeed.js
+// iCalendar (RFC 5545) rendering of the deadline calendar, served by GET /api/calendar/:token.ics.
+//
+// Every calendar entry of lib/maintenance.js (open response deadlines, PCT / provisional deadlines and
+// maintenance windows) becomes an all-day VEVENT. Alarms fire at the escalation thresholds of
+// config/deadline-rules.json, so calendar reminders match the summary email.
+const crypto = require('crypto');
+const { calendarEntries } = require('./maintenance');
+const { loadDeadlineConfig } = require('./deadlines');
+
+const PRODUCT_ID = '-//Lawmatics USPTO Automation//Deadlines//EN';
+const UID_DOMAIN = 'uspto-monitor';
+// Calendar apps poll at their own pace; this is a hint. Deadlines only change when a monitor run finds new
+// documents, which on Vercel is at most every MONITOR_SWEEP_INTERVAL_HOURS (default 6; the server monitor runs daily)
+const REFRESH_INTERVAL = 'PT6H';
+// Content lines longer than this many octets are folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet chunks, never splitting a UTF-8 character
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function dateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Stable UID, so calendar apps update an event in place when its date moves
+ */
+function eventUid(matter, entry) {
+  const item = entry.source === 'deadline'
+    ? entry.item._id ? String(entry.item._id) : crypto.createHash('sha1').update(String(entry.item.sourceId)).digest('hex').slice(0, 12)
+    : entry.kind;
+  return `${matter._id}-${entry.source}-${slug(item)}-${slug(entry.milestone)}@${UID_DOMAIN}`;
+}
+
+function eventDescription(matter, entry) {
+  const lines = [`Application: ${matter.applicationNumber} (${matter.type})`];
+  if (matter.clientName) lines.push(`Client: ${matter.clientName}`);
+  if (matter.responsibleAttorney) lines.push(`Attorney: ${matter.responsibleAttorney}`);
+  if (matter.docketNumber) lines.push(`Docket: ${matter.docketNumber}`);
+
+  if (entry.source === 'deadline') {
+    const { sourceDocument, responseDueEffective, finalDeadlineEffective } = entry.item;
+    if (sourceDocument?.description) {
+      const mailed = sourceDocument.date ? ` (${dateKey(new Date(sourceDocument.date))})` : '';
+      lines.push(`Document: ${sourceDocument.description}${mailed}`);
+    }
+    lines.push(`Response due: ${dateKey(new Date(responseDueEffective))}`);
+    lines.push(`Final deadline: ${dateKey(new Date(finalDeadlineEffective))}`);
+    if (sourceDocument?.link) lines.push(`Drive: ${sourceDocument.link}`);
+  } else {
+    const { basisEvent, basisDate, windowOpens, dueEffective, graceEndsEffective } = entry.item;
+    lines.push(`Based on ${basisEvent} date ${dateKey(new Date(basisDate))}`);
+    lines.push(`Window: ${dateKey(new Date(windowOpens))} to ${dateKey(new Date(dueEffective))}, grace period until ${dateKey(new Date(graceEndsEffective))}`);
+    if (matter.lastDriveLink) lines.push(`Drive: ${matter.lastDriveLink}`);
+  }
+  return lines.join('\n');
+}
+
+function alarmLines(summary, escalation) {
+  return [...new Set([escalation.warningDays, escalation.urgentDays])]
+    .filter(days => days > 0)
+    .flatMap(days => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(`${summary} in ${days} day${days === 1 ? '' : 's'}`)}`,
+      `TRIGGER:-P${days}D`,
+      'END:VALARM'
+    ]);
+}
+
+function eventLines(matter, entry, { now, escalation }) {
+  const start = entry.date;
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  const summary = `${entry.milestone}: ${entry.label} (${matter.applicationNumber})`;
+  const link = entry.source === 'deadline' ? entry.item.sourceDocument?.link : null;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(matter, entry)}`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(eventDescription(matter, entry))}`,
+    ...(link ? [`URL:${link}`] : []),
+    `CATEGORIES:${escapeText(entry.source === 'deadline' ? 'USPTO deadline' : 'Maintenance')}`,
+    'TRANSP:TRANSPARENT',
+    ...alarmLines(summary, escalation),
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Render the calendar entries of the given matters as an iCalendar document.
+ *
+ * options: { name (calendar name), now (DTSTAMP), escalation ({ warningDays, urgentDays } for alarms) }
+ */
+function renderCalendar(matters, { name = 'USPTO Deadlines', now = new Date(), escalation = loadDeadlineConfig().escalation } = {}) {
+  const events = [];
+  for (const matter of matters) {
+    for (const entry of calendarEntries(matter)) {
+      events.push({ matter, entry });
+    }
+  }
+  events.sort((a, b) => a.entry.date - b.entry.date);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap(({ matter, entry }) => eventLines(matter, entry, { now, escalation })),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  renderCalendar
+};
@@ -0,0 +1,467 @@
+// lib/deadlines.js
+// Response deadlines computed from USPTO actions (office actions, notices of allowance),
+// using the rules table in config/deadline-rules.json.
+//
+// A rule matches a document like the document rules do (type + documentCode list or description
+// pattern) and gives the periods from the mail date: the response due date, the extension windows
+// (extension.count windows of extension.months each, never past the statutory period) and the final
+// statutory deadline. Months are added calendar-wise; when the day does not exist in the target month
+// the period ends on its last day. Each date also has an effective date, moved to the next business day
+// when it falls on a weekend or a federal holiday (35 U.S.C. 21(b), 15 U.S.C. 1051 ff.).
+//
+// A rule's closedBy (documentCode list or description pattern) recognizes the applicant's response;
+// once one is in the document list, dated on or after the action, the deadline is marked satisfied.
+// Its extendedBy recognizes a request extending the period (e.g. a trademark Statement of Use extension):
+// each period with such a request moves the response due date to the end of the next extension window.
+// Open deadlines within the escalation windows are listed in the summary email.
+const path = require('path');
+const Matter = require('../models/Matter');
+const { readJsonSync } = require('./jsonStore');
+const { documentId } = require('./processedState');
+
+const RULES_FILE = process.env.DEADLINE_RULES_FILE || path.join(__dirname, '../config/deadline-rules.json');
+const DEFAULT_ESCALATION = { warningDays: 30, urgentDays: 7 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cachedConfig = null;
+
+function fail(message) {
+  throw new Error(`Invalid deadline rules (${path.basename(RULES_FILE)}): ${message}`);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a rules table and compile its patterns
+ */
+function compileDeadlineRules(config) {
+  const ids = new Set();
+  return (config.rules || []).map((rule, index) => {
+    const name = rule.id || `rule ${index + 1}`;
+    if (!rule.id || ids.has(rule.id)) fail(`${name} needs a unique id`);
+    ids.add(rule.id);
+    if (!rule.label) fail(`${name} needs a label`);
+    if (!rule.documentCode && !rule.descriptionPattern) fail(`${name} needs documentCode or descriptionPattern`);
+    if (!isPositiveInteger(rule.response?.months)) fail(`${name}: response.months must be a positive integer`);
+    if (rule.extension && !(isPositiveInteger(rule.extension.months) && isPositiveInteger(rule.extension.count))) {
+      fail(`${name}: extension needs positive integer months and count`);
+    }
+    const statutoryMonths = rule.statutory ? rule.statutory.months : rule.response.months;
+    if (!isPositiveInteger(statutoryMonths) || statutoryMonths < rule.response.months) {
+      fail(`${name}: statutory.months must be at least response.months`);
+    }
+
+    const compile = source => {
+      try {
+        return source ? new RegExp(source, 'i') : null;
+      } catch (error) {
+        return fail(`${name}: ${error.message}`);
+      }
+    };
+    if (rule.closedBy && !rule.closedBy.documentCode && !rule.closedBy.descriptionPattern) {
+      fail(`${name}: closedBy needs documentCode or descriptionPattern`);
+    }
+    if (rule.extendedBy && !(rule.extension && rule.extendedBy.descriptionPattern)) {
+      fail(`${name}: extendedBy needs a descriptionPattern and an extension`);
+    }
+    return {
+      ...rule,
+      statutoryMonths,
+      pattern: compile(rule.descriptionPattern),
+      exclude: compile(rule.excludePattern),
+      closedByPattern: compile(rule.closedBy?.descriptionPattern),
+      extendedByPattern: compile(rule.extendedBy?.descriptionPattern)
+    };
+  });
+}
+
+/**
+ * Load (once) the rules and escalation thresholds of config/deadline-rules.json
+ */
+function loadDeadlineConfig() {
+  if (!cachedConfig) {
+    const config = readJsonSync(RULES_FILE);
+    if (!config) fail('file not found');
+    cachedConfig = {
+      rules: compileDeadlineRules(config),
+      escalation: { ...DEFAULT_ESCALATION, ...config.escalation }
+    };
+  }
+  return cachedConfig;
+}
+
+/**
+ * Load (once) and validate config/deadline-rules.json
+ */
+function loadDeadlineRules() {
+  return loadDeadlineConfig().rules;
+}
+
+// ========================
+// 📅 DATE ARITHMETIC
+// ========================
+
+function utcDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function dateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add calendar months; a day missing from the target month becomes its last day (Jan 31 + 1 month = Feb 28/29)
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = utcDay(year, month + 1, 0).getUTCDate();
+  return utcDay(year, month, Math.min(date.getUTCDate(), lastDay));
+}
+
+// nth (1-based) weekday of a month, or the last one when n is -1
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = utcDay(year, month + 1, 0);
+    return utcDay(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utcDay(year, month, 1);
+  return utcDay(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+}
+
+// Fixed-date holidays falling on a weekend are observed on the Friday before or the Monday after
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return utcDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - 1);
+  if (day === 0) return utcDay(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return date;
+}
+
+/**
+ * Federal holidays (observed dates) of a year as YYYY-MM-DD keys
+ */
+function federalHolidays(year) {
+  return new Set([
+    observed(utcDay(year, 0, 1)),
+    nthWeekday(year, 0, 1, 3),   // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3),   // Washington's Birthday
+    nthWeekday(year, 4, 1, -1),  // Memorial Day
+    observed(utcDay(year, 5, 19)),
+    observed(utcDay(year, 6, 4)),
+    nthWeekday(year, 8, 1, 1),   // Labor Day
+    nthWeekday(year, 9, 1, 2),   // Columbus Day
+    observed(utcDay(year, 10, 11)),
+    nthWeekday(year, 10, 4, 4),  // Thanksgiving
+    observed(utcDay(year, 11, 25)),
+    // New Year's Day of the next year observed on Dec 31
+    observed(utcDay(year + 1, 0, 1))
+  ].map(dateKey));
+}
+
+function isBusinessDay(date) {
+  const day = date.getUTCDay();
+  return day !== 0 && day !== 6 && !federalHolidays(date.getUTCFullYear()).has(dateKey(date));
+}
+
+/**
+ * The date itself, or the next business day when it falls on a weekend or federal holiday
+ */
+function nextBusinessDay(date) {
+  let current = date;
+  while (!isBusinessDay(current)) {
+    current = utcDay(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate() + 1);
+  }
+  return current;
+}
+
+// ========================
+// ⚖️ DEADLINES
+// ========================
+
+/**
+ * First deadline rule matching a document, or null
+ */
+function matchDeadlineRule(doc, type, rules = loadDeadlineRules()) {
+  if (doc.statusChange) return null;
+  return rules.find(rule => {
+    if (rule.type && rule.type !== type) return false;
+    if (rule.documentCode && !rule.documentCode.includes(doc.documentCode)) return false;
+    if (rule.pattern && !rule.pattern.test(doc.description || '')) return false;
+    if (rule.exclude && rule.exclude.test(doc.description || '')) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * Deadline triggered by a document, or null when no rule matches.
+ *
+ * Returns { ruleId, label, sourceId, sourceDocument, triggerDate, responseDue, responseDueEffective,
+ * extensions: [{ number, dueDate, effectiveDate }], finalDeadline, finalDeadlineEffective, status }.
+ */
+function computeDeadline(doc, type, rules) {
+  const rule = matchDeadlineRule(doc, type, rules);
+  if (!rule) return null;
+
+  const mailDate = new Date(doc.date);
+  const triggerDate = utcDay(mailDate.getUTCFullYear(), mailDate.getUTCMonth(), mailDate.getUTCDate());
+  const responseDue = addMonths(triggerDate, rule.response.months);
+  const finalDeadline = addMonths(triggerDate, rule.statutoryMonths);
+
+  const extensions = [];
+  for (let number = 1; rule.extension && number <= rule.extension.count; number++) {
+    const months = rule.response.months + number * rule.extension.months;
+    if (months > rule.statutoryMonths) break;
+    const dueDate = addMonths(triggerDate, months);
+    extensions.push({ number, dueDate, effectiveDate: nextBusinessDay(dueDate) });
+  }
+
+  return {
+    ruleId: rule.id,
+    label: rule.label,
+    sourceId: documentId(doc),
+    sourceDocument: {
+      description: doc.description,
+      documentCode: doc.documentCode || null,
+      date: triggerDate,
+      link: doc.driveLink || doc.link || null
+    },
+    triggerDate,
+    responseDue,
+    responseDueEffective: nextBusinessDay(responseDue),
+    extensions,
+    finalDeadline,
+    finalDeadlineEffective: nextBusinessDay(finalDeadline),
+    status: 'open'
+  };
+}
+
+/**
+ * Store a deadline on the matter unless the same document already produced one
+ */
+function recordDeadline(matterId, deadline) {
+  return Matter.updateOne(
+    { _id: matterId, 'deadlines.sourceId': { $ne: deadline.sourceId } },
+    { $push: { deadlines: deadline } }
+  );
+}
+
+/**
+ * Docket the deadlines of documents recorded as seen without being processed (the first check of a matter,
+ * a backfill), then close the matter's deadlines answered among allDocs. Documents that already produced a
+ * deadline are skipped by recordDeadline. Returns the number of deadlines added.
+ */
+async function docketExistingDocuments(matter, docs, allDocs, type) {
+  let added = 0;
+  for (const doc of docs) {
+    const deadline = computeDeadline(doc, type);
+    if (!deadline) continue;
+    const result = await recordDeadline(matter._id, deadline);
+    if (result.modifiedCount > 0) added++;
+  }
+  if (added > 0) {
+    console.log(`⚖️ ${matter.applicationNumber}: docketed ${added} deadline(s) from existing documents`);
+  }
+
+  const stored = await Matter.findById(matter._id).lean();
+  await closeAnsweredDeadlines({ _id: matter._id, applicationNumber: matter.applicationNumber, deadlines: stored ? stored.deadlines : [] }, allDocs);
+  return added;
+}
+
+/**
+ * The applicant's response to a deadline among a matter's documents, or null.
+ * Only documents dated on or after the triggering action count.
+ */
+function findResponse(deadline, docs, rules = loadDeadlineRules()) {
+  const rule = rules.find(candidate => candidate.id === deadline.ruleId);
+  if (!rule || !rule.closedBy) return null;
+
+  const triggerKey = dateKey(new Date(deadline.triggerDate));
+  return docs.find(doc => {
+    if (doc.statusChange || dateKey(new Date(doc.date)) < triggerKey) return false;
+    // "Request for Extension of Time to File a Statement of Use" extends the deadline, it does not answer it
+    if (rule.extendedByPattern && rule.extendedByPattern.test(doc.description || '')) return false;
+    if (rule.closedBy.documentCode && !rule.closedBy.documentCode.includes(doc.documentCode)) return false;
+    if (rule.closedByPattern && !rule.closedByPattern.test(doc.description || '')) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * Number of extension windows a deadline's period has been extended by, from the requests among docs.
+ * A request counts for the period it was filed in (before that period's due date), and periods are
+ * extended one after the other, so a missed period ends the count.
+ */
+function countExtensions(deadline, docs, rules = loadDeadlineRules()) {
+  const rule = rules.find(candidate => candidate.id === deadline.ruleId);
+  if (!rule || !rule.extendedByPattern) return 0;
+
+  const requests = docs
+    .filter(doc => !doc.statusChange && rule.extendedByPattern.test(doc.description || ''))
+    .map(doc => dateKey(new Date(doc.date)));
+  // Period ends: the original response date, then each extension window
+  const ends = [deadline.responseDueOriginal || deadline.responseDue, ...(deadline.extensions || []).map(extension => extension.dueDate)]
+    .map(date => dateKey(new Date(date)));
+
+  let start = dateKey(new Date(deadline.triggerDate));
+  let count = 0;
+  // The last window cannot be extended further
+  for (const end of ends.slice(0, -1)) {
+    if (!requests.some(date => date >= start && date <= end)) break;
+    count++;
+    start = end;
+  }
+  return Math.min(count, (deadline.extensions || []).length);
+}
+
+/**
+ * Move the response due date of an open deadline to the end of the extension windows requested
+ */
+async function recordExtensions(matter, deadline, count) {
+  const extension = deadline.extensions[count - 1];
+  const update = {
+    'deadlines.$.extensionsFiled': count,
+    'deadlines.$.responseDue': extension.dueDate,
+    'deadlines.$.responseDueEffective': extension.effectiveDate
+  };
+  if (!deadline.responseDueOriginal) {
+    update['deadlines.$.responseDueOriginal'] = deadline.responseDue;
+  }
+  await Matter.updateOne(
+    { _id: matter._id, deadlines: { $elemMatch: { _id: deadline._id, status: 'open' } } },
+    { $set: update }
+  );
+  console.log(`⏩ ${matter.applicationNumber}: "${deadline.label}" extended ${count} time(s), now due ${dateKey(new Date(extension.effectiveDate))}`);
+}
+
+/**
+ * Mark the open deadlines of a matter answered by a document in docs as satisfied, and move those whose
+ * period was extended (see countExtensions) to their new due date. Returns the deadlines closed.
+ */
+async function closeAnsweredDeadlines(matter, docs, rules) {
+  const closed = [];
+  for (const deadline of matter.deadlines || []) {
+    if (deadline.status !== 'open') continue;
+    const response = findResponse(deadline, docs, rules);
+    if (!response) {
+      const extended = countExtensions(deadline, docs, rules);
+      if (extended > (deadline.extensionsFiled || 0)) {
+        await recordExtensions(matter, deadline, extended);
+      }
+      continue;
+    }
+
+    const satisfiedBy = {
+      description: response.description,
+      documentCode: response.documentCode || null,
+      date: new Date(response.date)
+    };
+    await Matter.updateOne(
+      { _id: matter._id, deadlines: { $elemMatch: { _id: deadline._id, status: 'open' } } },
+      { $set: { 'deadlines.$.status': 'satisfied', 'deadlines.$.satisfiedBy': satisfiedBy, 'deadlines.$.closedAt': new Date() } }
+    );
+    console.log(`✅ ${matter.applicationNumber}: "${deadline.label}" satisfied by ${response.description} (${dateKey(satisfiedBy.date)})`);
+    closed.push({ ...deadline, status: 'satisfied', satisfiedBy });
+  }
+  return closed;
+}
+
+/**
+ * Where an open deadline stands on a given day: the next date still ahead (response, then each extension,
+ * then the final deadline) and an escalation level, or null when it is not within the warning window.
+ *
+ * Levels: "warning" (within warningDays), "urgent" (within urgentDays), "extension" (the response date has
+ * passed, so an extension fee is due), "missed" (past the final deadline and still open).
+ */
+function escalationFor(deadline, now = new Date(), escalation = loadDeadlineConfig().escalation) {
+  if (deadline.status !== 'open') return null;
+
+  const today = utcDay(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const steps = [
+    { label: 'Response due', date: new Date(deadline.responseDueEffective) },
+    // Windows already requested are behind the (moved) response date
+    ...(deadline.extensions || []).filter(extension => extension.number > (deadline.extensionsFiled || 0)).map(extension => ({
+      label: `Due with ${extension.number} extension${extension.number > 1 ? 's' : ''}`,
+      date: new Date(extension.effectiveDate)
+    })),
+    { label: 'Final deadline', date: new Date(deadline.finalDeadlineEffective) }
+  ];
+
+  const next = steps.find(step => step.date >= today);
+  if (!next) {
+    const daysLeft = Math.round((steps[steps.length - 1].date - today) / DAY_MS);
+    return { level: 'missed', label: 'Final deadline passed', date: steps[steps.length - 1].date, daysLeft };
+  }
+
+  const daysLeft = Math.round((next.date - today) / DAY_MS);
+  if (next !== steps[0]) {
+    return { level: 'extension', label: next.label, date: next.date, daysLeft };
+  }
+  if (daysLeft <= escalation.urgentDays) return { level: 'urgent', label: next.label, date: next.date, daysLeft };
+  if (daysLeft <= escalation.warningDays) return { level: 'warning', label: next.label, date: next.date, daysLeft };
+  return null;
+}
+
+const ESCALATION_ORDER = ['missed', 'extension', 'urgent', 'warning'];
+
+/**
+ * Open deadlines of non-archived matters that need attention, most pressing first
+ */
+async function findEscalatedDeadlines(now = new Date()) {
+  const matters = await Matter.find(
+    { deletedAt: null, monitoringState: { $ne: 'archived' }, 'deadlines.status': 'open' },
+    { applicationNumber: 1, type: 1, clientName: 1, responsibleAttorney: 1, docketNumber: 1, deadlines: 1 }
+  ).lean();
+
+  const escalated = [];
+  for (const matter of matters) {
+    for (const deadline of matter.deadlines) {
+      const escalation = escalationFor(deadline, now);
+      if (escalation) {
+        const { deadlines, ...matterFields } = matter;
+        escalated.push({ ...matterFields, deadline, ...escalation });
+      }
+    }
+  }
+
+  return escalated.sort((a, b) =>
+    ESCALATION_ORDER.indexOf(a.level) - ESCALATION_ORDER.indexOf(b.level) || a.date - b.date
+  );
+}
+
+/**
+ * Deadline as [label, text] rows for notification emails
+ */
+function describeDeadline(deadline) {
+  const when = (date, effective) => {
+    const text = dateKey(new Date(date));
+    return effective && dateKey(new Date(effective)) !== text ? `${text} (file by ${dateKey(new Date(effective))})` : text;
+  };
+
+  const rows = [['Response Due', when(deadline.responseDue, deadline.responseDueEffective)]];
+  for (const extension of deadline.extensions || []) {
+    rows.push([`With ${extension.number} Extension${extension.number > 1 ? 's' : ''}`, when(extension.dueDate, extension.effectiveDate)]);
+  }
+  rows.push(['Final Deadline', when(deadline.finalDeadline, deadline.finalDeadlineEffective)]);
+  return rows;
+}
+
+module.exports = {
+  loadDeadlineRules,
+  loadDeadlineConfig,
+  compileDeadlineRules,
+  addMonths,
+  federalHolidays,
+  nextBusinessDay,
+  matchDeadlineRule,
+  computeDeadline,
+  recordDeadline,
+  findResponse,
+  countExtensions,
+  closeAnsweredDeadlines,
+  docketExistingDocuments,
+  escalationFor,
+  findEscalatedDeadlines,
+  describeDeadline
+};
@@ -0,0 +1,148 @@
+// lib/documentRules.js
+// Classify USPTO documents into categories and priorities using config/document-rules.json.
+//
+// Rules are checked in order and the first match wins. A rule may match on:
+//   type               'Patent' or 'Trademark'
+//   documentCode       list of patent document codes (e.g. CTNF)
+//   directionCategory  list of patent direction categories (INCOMING, OUTGOING, INTERNAL)
+//   descriptionPattern case-insensitive regular expression over the description
+//                      (TSDR DocumentTypeDescriptionText for trademarks)
+//   excludePattern     descriptions that must not match (e.g. the applicant's TEAS filings naming the action)
+//   statusChange       true for case status events (lib/trademarkStatus.js, lib/patentStatus.js)
+// The category decides the priority, and the priority which stages run; a category may set its own stages.
+//
+// The direction policy then decides what happens to documents by direction: "notify" runs those stages,
+// "archive" only uploads to Drive, "ignore" skips everything. Patents carry an ODP directionCategory
+// (INCOMING = filed with the USPTO, i.e. our own filings; OUTGOING = sent by the USPTO; INTERNAL);
+// for trademarks the direction is guessed from the description with trademarkDirections.
+// A matter's directionPolicy overrides the firm policy per direction. Status events are always notified.
+const path = require('path');
+const { readJsonSync } = require('./jsonStore');
+const { DOCUMENT_DIRECTIONS, DIRECTION_ACTIONS } = require('../models/Matter');
+
+const RULES_FILE = process.env.DOCUMENT_RULES_FILE || path.join(__dirname, '../config/document-rules.json');
+const STAGES = ['drive', 'email', 'lawmatics', 'form'];
+
+let cachedRules = null;
+
+function fail(message) {
+  throw new Error(`Invalid document rules (${path.basename(RULES_FILE)}): ${message}`);
+}
+
+/**
+ * Check references between rules, categories and priorities, and compile description patterns
+ */
+function compileRules(config) {
+  const { priorities = {}, categories = {}, rules = [], defaultCategory, directionPolicy = {}, trademarkDirections = [] } = config;
+
+  for (const [name, priority] of Object.entries(priorities)) {
+    const unknown = (priority.stages || []).filter(stage => !STAGES.includes(stage));
+    if (unknown.length > 0) fail(`priority "${name}" has unknown stages ${unknown.join(', ')}`);
+  }
+  for (const [name, category] of Object.entries(categories)) {
+    if (!priorities[category.priority]) fail(`category "${name}" has unknown priority "${category.priority}"`);
+    const unknown = (category.stages || []).filter(stage => !STAGES.includes(stage));
+    if (unknown.length > 0) fail(`category "${name}" has unknown stages ${unknown.join(', ')}`);
+  }
+  if (!categories[defaultCategory]) fail(`defaultCategory "${defaultCategory}" is not a category`);
+  for (const [direction, action] of Object.entries(directionPolicy)) {
+    if (!DOCUMENT_DIRECTIONS.includes(direction)) fail(`directionPolicy has unknown direction "${direction}"`);
+    if (!DIRECTION_ACTIONS.includes(action)) fail(`directionPolicy.${direction} must be one of ${DIRECTION_ACTIONS.join(', ')}`);
+  }
+
+  const compile = (source, label) => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      return fail(`${label}: ${error.message}`);
+    }
+  };
+
+  const compiled = rules.map((rule, index) => {
+    if (!categories[rule.category]) fail(`rule ${index + 1} has unknown category "${rule.category}"`);
+    const pattern = rule.descriptionPattern ? compile(rule.descriptionPattern, `rule ${index + 1}`) : null;
+    const exclude = rule.excludePattern ? compile(rule.excludePattern, `rule ${index + 1}`) : null;
+    return { ...rule, index, pattern, exclude };
+  });
+
+  const directions = trademarkDirections.map((entry, index) => {
+    if (!DOCUMENT_DIRECTIONS.includes(entry.direction)) fail(`trademarkDirections ${index + 1} has unknown direction "${entry.direction}"`);
+    return { direction: entry.direction, pattern: compile(entry.descriptionPattern, `trademarkDirections ${index + 1}`) };
+  });
+
+  return { priorities, categories, defaultCategory, rules: compiled, directionPolicy, trademarkDirections: directions };
+}
+
+/**
+ * Load (once) and validate the rules file; a broken file throws rather than treating every document alike
+ */
+function loadRules() {
+  if (!cachedRules) {
+    const config = readJsonSync(RULES_FILE);
+    if (!config) fail('file not found');
+    cachedRules = compileRules(config);
+  }
+  return cachedRules;
+}
+
+function matches(rule, doc, type) {
+  if (rule.type && rule.type !== type) return false;
+  if (rule.statusChange !== undefined && Boolean(doc.statusChange) !== rule.statusChange) return false;
+  if (rule.documentCode && !rule.documentCode.includes(doc.documentCode)) return false;
+  if (rule.directionCategory && !rule.directionCategory.includes(doc.category)) return false;
+  if (rule.pattern && !rule.pattern.test(doc.description || '')) return false;
+  if (rule.exclude && rule.exclude.test(doc.description || '')) return false;
+  return true;
+}
+
+/**
+ * Direction of a document: the ODP directionCategory for patents, a description heuristic for trademarks
+ */
+function documentDirection(doc, type) {
+  if (type === 'Patent') {
+    return DOCUMENT_DIRECTIONS.includes(doc.category) ? doc.category : 'UNKNOWN';
+  }
+  const match = loadRules().trademarkDirections.find(entry => entry.pattern.test(doc.description || ''));
+  return match ? match.direction : 'UNKNOWN';
+}
+
+/**
+ * What to do with a document of the given direction: the matter's override, else the firm policy
+ */
+function directionAction(direction, matterPolicy) {
+  return matterPolicy?.[direction] || loadRules().directionPolicy[direction] || 'notify';
+}
+
+/**
+ * Classify a document. Returns { category, label, priority, priorityLabel, direction, action, stages, rule }
+ * where stages lists the processing stages to run (after the direction policy; options.directionPolicy is the
+ * matter's override) and rule is the matching rule's index (or null).
+ */
+function classifyDocument(doc, type, { directionPolicy = null } = {}) {
+  const { priorities, categories, defaultCategory, rules } = loadRules();
+  const rule = rules.find(candidate => matches(candidate, doc, type)) || null;
+  const category = rule ? rule.category : defaultCategory;
+  const { label, priority } = categories[category];
+  const stages = categories[category].stages || priorities[priority].stages;
+
+  const direction = doc.statusChange ? null : documentDirection(doc, type);
+  const action = direction ? directionAction(direction, directionPolicy) : 'notify';
+
+  return {
+    category,
+    label,
+    priority,
+    priorityLabel: priorities[priority].label,
+    direction,
+    action,
+    stages: action === 'notify' ? stages : action === 'archive' ? stages.filter(stage => stage === 'drive') : [],
+    rule: rule ? rule.index : null
+  };
+}
+
+module.exports = {
+  STAGES,
+  loadRules,
+  documentDirection,
+  classifyDocument
+};
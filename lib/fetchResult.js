@@ -0,0 +1,69 @@
+// lib/fetchResult.js
+// Typed outcomes of USPTO lookups, so "the USPTO could not be reached" is never mistaken for "nothing new".
+//
+//   ok            documents were returned
+//   empty         the case exists but has no documents yet
+//   not_found     the USPTO does not know the application number (HTTP 404)
+//   rate_limited  throttled (HTTP 429) even after retries
+//   error         outage, timeout or unreadable response
+const FETCH_STATUSES = ['ok', 'empty', 'not_found', 'rate_limited', 'error'];
+
+// Matter status written after a check, by processMatter reason
+const MATTER_STATUS_BY_REASON = {
+  invalid_application_number: 'Invalid Application Number',
+  unknown_type: 'Invalid Application Number',
+  not_found: 'Not Found at USPTO',
+  rate_limited: 'Rate Limited',
+  fetch_error: 'Fetch Failed'
+};
+
+/**
+ * Successful lookup: "ok" with documents, "empty" without
+ */
+function fetchSucceeded(docs) {
+  return { status: docs.length > 0 ? 'ok' : 'empty', docs, error: null };
+}
+
+/**
+ * Failed lookup classified from the error thrown by lib/usptoClient.js
+ */
+function fetchFailed(error) {
+  const httpStatus = error.response?.status || null;
+  let status = 'error';
+  if (httpStatus === 404) status = 'not_found';
+  else if (httpStatus === 429) status = 'rate_limited';
+  return { status, docs: [], error: error.message, httpStatus };
+}
+
+/**
+ * Whether a lookup failed for reasons that say nothing about the case (the run is degraded)
+ */
+function isDegraded(status) {
+  return status === 'rate_limited' || status === 'error';
+}
+
+/**
+ * processMatter reason for a lookup that did not return documents
+ */
+function reasonForFetch(status) {
+  if (status === 'empty') return 'no_documents';
+  if (status === 'error') return 'fetch_error';
+  return status;
+}
+
+/**
+ * Matter status after processing: completed, no updates, or what went wrong
+ */
+function matterStatusFor(result) {
+  if (result.processed) return 'Automation Completed';
+  return MATTER_STATUS_BY_REASON[result.reason] || 'No Updates Found';
+}
+
+module.exports = {
+  FETCH_STATUSES,
+  fetchSucceeded,
+  fetchFailed,
+  isDegraded,
+  reasonForFetch,
+  matterStatusFor
+};
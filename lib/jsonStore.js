@@ -0,0 +1,189 @@
+// lib/jsonStore.js
+// Crash-safe storage for the JSON state files shared by the server, the monitors and cron ticks.
+//
+// Writes go to a temp file that is renamed over the target, so readers only ever see a complete file.
+// Writers are serialized in-process with a queue and across processes with a "<file>.lock" file.
+// Previous versions are kept as "<file>.bak.1" (newest) ... "<file>.bak.N", at most one per backupIntervalMs,
+// so frequent routine writes do not push the older, known-good copies out.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BACKUPS = parseInt(process.env.JSON_STORE_BACKUPS, 10) || 5;
+const DEFAULT_BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 30000;
+
+// Pending writes per file, so writers in this process never race each other for the lock
+const queues = new Map();
+
+function corruptFileError(filePath, cause) {
+  const error = new Error(
+    `${path.basename(filePath)} is not valid JSON (${cause.message}). ` +
+    `Refusing to use or overwrite it; fix it or restore ${path.basename(filePath)}.bak.1`
+  );
+  error.code = 'ECORRUPTJSON';
+  error.filePath = filePath;
+  return error;
+}
+
+function parse(filePath, data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw corruptFileError(filePath, error);
+  }
+}
+
+/**
+ * Read a JSON file. Returns defaultValue when the file does not exist;
+ * throws an ECORRUPTJSON error when it exists but cannot be parsed.
+ */
+async function readJson(filePath, defaultValue = null) {
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return defaultValue;
+    throw error;
+  }
+  return parse(filePath, data);
+}
+
+/**
+ * Synchronous readJson for startup code that cannot await
+ */
+function readJsonSync(filePath, defaultValue = null) {
+  let data;
+  try {
+    data = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return defaultValue;
+    throw error;
+  }
+  return parse(filePath, data);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const handle = await fs.promises.open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+      await handle.close();
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    try {
+      const { mtimeMs } = await fs.promises.stat(lockPath);
+      if (Date.now() - mtimeMs > STALE_LOCK_MS) {
+        console.warn(`⚠️ Removing stale lock ${path.basename(lockPath)}`);
+        await fs.promises.unlink(lockPath).catch(() => {});
+        continue;
+      }
+    } catch (error) {
+      // Lock released between open and stat; try again straight away
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${path.basename(lockPath)}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Whether the newest backup is missing or older than intervalMs
+ */
+async function backupDue(filePath, intervalMs) {
+  if (intervalMs <= 0) return true;
+  try {
+    const { mtimeMs } = await fs.promises.stat(`${filePath}.bak.1`);
+    return Date.now() - mtimeMs >= intervalMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+}
+
+/**
+ * Shift <file>.bak.1 ... <file>.bak.(N-1) up by one and copy the current file to <file>.bak.1
+ */
+async function rotateBackups(filePath, backups) {
+  if (backups < 1) return;
+  for (let index = backups - 1; index >= 1; index--) {
+    await fs.promises.rename(`${filePath}.bak.${index}`, `${filePath}.bak.${index + 1}`).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+  await fs.promises.copyFile(filePath, `${filePath}.bak.1`);
+}
+
+async function writeLocked(filePath, update, { backups = DEFAULT_BACKUPS, backupIntervalMs = DEFAULT_BACKUP_INTERVAL_MS, defaultValue = null } = {}) {
+  const lockPath = `${filePath}.lock`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await acquireLock(lockPath);
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    // Never replace a file we cannot read: it may be the only copy of the state
+    const exists = fs.existsSync(filePath);
+    const current = exists ? await readJson(filePath, defaultValue) : defaultValue;
+    const next = await update(current);
+
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(next, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (exists && backups > 0 && await backupDue(filePath, backupIntervalMs)) {
+      await rotateBackups(filePath, backups);
+    }
+    await fs.promises.rename(tempPath, filePath);
+    return next;
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    await fs.promises.unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Read-modify-write a JSON file under the lock. updater receives the current value
+ * (defaultValue when the file is missing) and returns the value to store.
+ *
+ * options: { backups = 5, backupIntervalMs = 1 hour (0 keeps a backup of every write), defaultValue = null }
+ */
+function updateJson(filePath, updater, options = {}) {
+  const key = path.resolve(filePath);
+  const previous = queues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => writeLocked(filePath, updater, options));
+  queues.set(key, run);
+  run.catch(() => {}).finally(() => {
+    if (queues.get(key) === run) queues.delete(key);
+  });
+  return run;
+}
+
+/**
+ * Replace the contents of a JSON file atomically (see updateJson for options)
+ */
+function writeJson(filePath, data, options = {}) {
+  return updateJson(filePath, () => data, options);
+}
+
+module.exports = {
+  readJson,
+  readJsonSync,
+  writeJson,
+  updateJson
+};
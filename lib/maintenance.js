@@ -0,0 +1,166 @@
+// lib/maintenance.js
+// Long-range dates that follow a grant or registration: utility patent maintenance fees and trademark
+// Section 8 / Section 9 filings. They are derived from the grant date (ODP metadata) and the registration
+// date (TSDR case status) the monitors already fetch, and stored on the matter as its maintenance calendar.
+//
+// Each entry has a window: it may be filed from windowOpens, is due by due, and can still be filed with a
+// surcharge until graceEnds. Due and grace dates also have effective dates (next business day).
+//
+// Issue fees and Statements of Use follow a Notice of Allowance; those are response deadlines
+// (lib/deadlines.js), and upcomingDates lists them alongside the maintenance calendar.
+const Matter = require('../models/Matter');
+const { parseApplicationNumber } = require('./applicationNumber');
+const { addMonths, nextBusinessDay } = require('./deadlines');
+
+// 35 U.S.C. 41(b): fees due 3.5, 7.5 and 11.5 years after grant, payable from 6 months before,
+// with a 6-month surcharge period after. Design and plant patents have no maintenance fees.
+const PATENT_MAINTENANCE = [
+  { kind: 'maintenance-3.5', label: '3.5-year maintenance fee', opensMonths: 36, dueMonths: 42, graceMonths: 6 },
+  { kind: 'maintenance-7.5', label: '7.5-year maintenance fee', opensMonths: 84, dueMonths: 90, graceMonths: 6 },
+  { kind: 'maintenance-11.5', label: '11.5-year maintenance fee', opensMonths: 132, dueMonths: 138, graceMonths: 6 }
+];
+
+// 15 U.S.C. 1058/1059: Section 8 declaration (usually combined with Section 15) between the 5th and 6th
+// year after registration, then Section 8 & 9 renewal in the year before every 10-year anniversary.
+// Each has a 6-month grace period.
+const RENEWAL_TERMS = 3;
+const TRADEMARK_MAINTENANCE = [
+  { kind: 'section-8-15', label: 'Section 8 declaration (& Section 15)', opensMonths: 60, dueMonths: 72, graceMonths: 6 },
+  ...Array.from({ length: RENEWAL_TERMS }, (_, index) => ({
+    kind: `section-8-9-${(index + 1) * 10}`,
+    label: `Section 8 & 9 renewal (${(index + 1) * 10}-year)`,
+    opensMonths: (index + 1) * 120 - 12,
+    dueMonths: (index + 1) * 120,
+    graceMonths: 6
+  }))
+];
+
+function toUtcDay(value) {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Date the maintenance calendar of a matter is based on: the grant date of a utility patent or the
+ * registration date of a trademark. null when the matter has not issued or registered (or has no fees).
+ */
+function maintenanceBasis(matter) {
+  if (matter.type === 'Trademark') {
+    const date = matter.trademarkStatus?.registrationDate;
+    return date ? { event: 'registration', date: toUtcDay(date) } : null;
+  }
+
+  const date = matter.patentStatus?.grantDate;
+  if (!date) return null;
+  const parsed = parseApplicationNumber(matter.applicationNumber, matter.type);
+  return parsed.valid && parsed.kind === 'utility' ? { event: 'grant', date: toUtcDay(date) } : null;
+}
+
+/**
+ * Maintenance calendar for a matter, or [] when it has no basis date.
+ *
+ * Entries: { kind, label, basisEvent, basisDate, windowOpens, due, dueEffective, graceEnds, graceEndsEffective }.
+ */
+function maintenanceSchedule(matter) {
+  const basis = maintenanceBasis(matter);
+  if (!basis) return [];
+
+  const table = matter.type === 'Trademark' ? TRADEMARK_MAINTENANCE : PATENT_MAINTENANCE;
+  return table.map(item => {
+    const due = addMonths(basis.date, item.dueMonths);
+    const graceEnds = addMonths(basis.date, item.dueMonths + item.graceMonths);
+    return {
+      kind: item.kind,
+      label: item.label,
+      basisEvent: basis.event,
+      basisDate: basis.date,
+      windowOpens: addMonths(basis.date, item.opensMonths),
+      due,
+      dueEffective: nextBusinessDay(due),
+      graceEnds,
+      graceEndsEffective: nextBusinessDay(graceEnds)
+    };
+  });
+}
+
+/**
+ * Store the maintenance calendar of a matter when its basis date changed.
+ * Returns the schedule written, or null when nothing changed.
+ */
+async function recordMaintenance(matter) {
+  const schedule = maintenanceSchedule(matter);
+  const stored = matter.maintenance || [];
+  const storedBasis = stored[0] ? new Date(stored[0].basisDate).getTime() : null;
+  const newBasis = schedule[0] ? schedule[0].basisDate.getTime() : null;
+  if (storedBasis === newBasis && stored.length === schedule.length) {
+    return null;
+  }
+
+  await Matter.updateOne({ _id: matter._id }, { $set: { maintenance: schedule } });
+  if (schedule.length > 0) {
+    console.log(`🗓️ ${matter.applicationNumber}: maintenance calendar from ${schedule[0].basisEvent} date ${schedule[0].basisDate.toISOString().split('T')[0]}`);
+  }
+  return schedule;
+}
+
+/**
+ * Dated calendar entries of a matter: each open response deadline (response due and final deadline)
+ * and each maintenance window (opens, due, grace ends).
+ *
+ * Entries: { source: 'deadline' | 'maintenance', kind, label, milestone, date, item }.
+ */
+function calendarEntries(matter) {
+  const entries = [];
+
+  for (const deadline of matter.deadlines || []) {
+    if ((deadline.status || 'open') !== 'open') continue;
+    const common = { source: 'deadline', kind: deadline.ruleId, label: deadline.label, item: deadline };
+    entries.push({ ...common, milestone: 'Response due', date: new Date(deadline.responseDueEffective) });
+    entries.push({ ...common, milestone: 'Final deadline', date: new Date(deadline.finalDeadlineEffective) });
+  }
+
+  for (const item of matter.maintenance || []) {
+    const common = { source: 'maintenance', kind: item.kind, label: item.label, item };
+    entries.push({ ...common, milestone: 'Window opens', date: new Date(item.windowOpens) });
+    entries.push({ ...common, milestone: 'Due', date: new Date(item.dueEffective) });
+    entries.push({ ...common, milestone: 'Grace period ends', date: new Date(item.graceEndsEffective) });
+  }
+
+  return entries;
+}
+
+/**
+ * Calendar entries of the given matters dated within [from, from + days], soonest first
+ */
+function upcomingDates(matters, { from = new Date(), days = 90 } = {}) {
+  const start = toUtcDay(from);
+  const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const upcoming = [];
+  for (const matter of matters) {
+    for (const entry of calendarEntries(matter)) {
+      if (entry.date >= start && entry.date <= end) {
+        upcoming.push({
+          matterId: String(matter._id),
+          applicationNumber: matter.applicationNumber,
+          type: matter.type,
+          clientName: matter.clientName || null,
+          responsibleAttorney: matter.responsibleAttorney || null,
+          docketNumber: matter.docketNumber || null,
+          ...entry
+        });
+      }
+    }
+  }
+  return upcoming.sort((a, b) => a.date - b.date || a.applicationNumber.localeCompare(b.applicationNumber));
+}
+
+module.exports = {
+  PATENT_MAINTENANCE,
+  TRADEMARK_MAINTENANCE,
+  maintenanceBasis,
+  maintenanceSchedule,
+  recordMaintenance,
+  calendarEntries,
+  upcomingDates
+};
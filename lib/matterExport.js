@@ -0,0 +1,93 @@
+// lib/matterExport.js
+// Flatten matters joined with their processing state for GET /api/matters/export.
+const path = require('path');
+const { readJson } = require('./jsonStore');
+const { getLastProcessedDate } = require('./processedState');
+
+// State file of older versions, still read by the monitors for matters without processedState
+const STATE_FILE = path.join(__dirname, '../state/lastProcessedState.json');
+
+const EXPORT_COLUMNS = [
+  ['id', 'Matter ID'],
+  ['applicationNumber', 'Application Number'],
+  ['lawmaticsID', 'Lawmatics ID'],
+  ['type', 'Type'],
+  ['status', 'Status'],
+  ['monitoringState', 'Monitoring'],
+  ['clientName', 'Client'],
+  ['responsibleAttorney', 'Responsible Attorney'],
+  ['paralegal', 'Paralegal'],
+  ['docketNumber', 'Docket Number'],
+  ['tags', 'Tags'],
+  ['lastProcessedDate', 'Last Processed Date'],
+  ['lastDriveLink', 'Last Drive Link'],
+  ['lastDriveLinkAt', 'Last Drive Upload'],
+  ['createdAt', 'Created'],
+  ['lastUpdated', 'Last Updated'],
+  ['deletedAt', 'Deleted']
+];
+
+function toISO(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+/**
+ * Newest processed document date of a matter, from the state file or its processedState, whichever is later
+ */
+function lastProcessedDate(matter, fileState) {
+  const dates = [getLastProcessedDate(fileState, matter.applicationNumber), matter.processedState?.lastProcessedDate]
+    .filter(Boolean)
+    .sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+/**
+ * One export row per matter (plain objects from .lean()), with the last processed date of either monitor
+ */
+async function buildExportRows(matters) {
+  const lastProcessedState = await readJson(STATE_FILE, {});
+  return matters.map(matter => ({
+    id: String(matter._id),
+    applicationNumber: matter.applicationNumber,
+    lawmaticsID: matter.lawmaticsID,
+    type: matter.type,
+    status: matter.status,
+    monitoringState: matter.monitoringState || 'active',
+    clientName: matter.clientName || null,
+    responsibleAttorney: matter.responsibleAttorney || null,
+    paralegal: matter.paralegal || null,
+    docketNumber: matter.docketNumber || null,
+    tags: matter.tags || [],
+    lastProcessedDate: lastProcessedDate(matter, lastProcessedState),
+    lastDriveLink: matter.lastDriveLink || null,
+    lastDriveLinkAt: toISO(matter.lastDriveLinkAt),
+    createdAt: toISO(matter.createdAt),
+    lastUpdated: toISO(matter.lastUpdated),
+    deletedAt: toISO(matter.deletedAt)
+  }));
+}
+
+function csvField(value) {
+  let text = Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : String(value);
+  // Keep spreadsheet apps from evaluating client-entered text as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render export rows as CSV with a header row
+ */
+function toCSV(rows) {
+  const lines = [EXPORT_COLUMNS.map(([, header]) => csvField(header)).join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(([key]) => csvField(row[key])).join(','));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildExportRows,
+  toCSV
+};
@@ -0,0 +1,68 @@
+// lib/matterImport.js
+const path = require('path');
+const XLSX = require('xlsx');
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// Accept common spellings of the column headers ("Application Number", "lawmatics_id", ...)
+const COLUMN_ALIASES = {
+  applicationnumber: 'applicationNumber',
+  appnumber: 'applicationNumber',
+  serialnumber: 'applicationNumber',
+  lawmaticsid: 'lawmaticsID',
+  type: 'type'
+};
+
+function normalizeHeader(header) {
+  return COLUMN_ALIASES[String(header).toLowerCase().replace(/[^a-z0-9]/g, '')] || null;
+}
+
+function isSupportedFile(fileName) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Parse an uploaded CSV/XLSX buffer into matter rows.
+ * Only the first sheet is read; row numbers match the spreadsheet (header is row 1).
+ */
+function parseMatterFile(buffer, fileName) {
+  if (!isSupportedFile(fileName)) {
+    throw new Error(`Unsupported file type. Upload one of: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  // raw keeps CSV cells as text so application numbers are not coerced to numbers
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('The uploaded file does not contain any sheets');
+  }
+
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+  const headers = Object.keys(records[0] || {});
+  const columns = {};
+  headers.forEach(header => {
+    const field = normalizeHeader(header);
+    if (field && !columns[field]) {
+      columns[field] = header;
+    }
+  });
+
+  // type is optional; it is inferred from the application number when missing
+  const missing = ['applicationNumber', 'lawmaticsID'].filter(field => !columns[field]);
+  if (records.length > 0 && missing.length > 0) {
+    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  return records.map(record => ({
+    row: record.__rowNum__ + 1,
+    applicationNumber: String(record[columns.applicationNumber]).trim(),
+    lawmaticsID: String(record[columns.lawmaticsID]).trim(),
+    type: columns.type ? String(record[columns.type]).trim() : ''
+  }));
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupportedFile,
+  parseMatterFile
+};
@@ -0,0 +1,145 @@
+// lib/matterPipeline.js
+// The per-document and per-status steps both monitors run for a matter.
+//
+// Googlecron.js (Render) and lib/unified-uspto-monitor.js (Vercel) fetch documents and deliver them their own
+// way (Drive download, email transport, Chromium build), so those steps are passed in; what is done with a
+// document or a case status change, and in which order, lives here.
+const Matter = require('../models/Matter');
+const { parseApplicationNumber } = require('./applicationNumber');
+const { classifyDocument } = require('./documentRules');
+const { computeDeadline, recordDeadline } = require('./deadlines');
+const { checkTrademarkStatus, recordTrademarkStatus } = require('./trademarkStatus');
+const { checkPatentStatus, recordPatentStatus } = require('./patentStatus');
+const { recordMaintenance } = require('./maintenance');
+const { recordPriorityDeadlines, closeClaimedPriorityDeadlines } = require('./priorityDeadlines');
+const { createLane } = require('./workerPool');
+
+const dateKey = date => date.toISOString().split('T')[0];
+
+/**
+ * Refresh the dates derived from the case status: maintenance windows and PCT / provisional deadlines
+ */
+async function updateDerivedDates(matter) {
+  try {
+    await recordMaintenance(matter);
+    if (matter.type === 'Patent') {
+      await recordPriorityDeadlines(matter);
+      await closeClaimedPriorityDeadlines(matter);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to update derived dates for ${matter.applicationNumber}:`, error.message);
+  }
+}
+
+/**
+ * Bind the pipeline to a monitor's delivery steps:
+ * { downloadAndUploadToDrive, sendEmailNotification, updateLawmaticsProspect, getProspect, submitFormWithPuppeteer }
+ * and optionally submissionDelayMs, a pause after each form submission.
+ * Returns { processSingleDocument, processCaseStatus, updateDerivedDates }.
+ */
+function createMatterPipeline(steps) {
+  const { submissionDelayMs = 0 } = steps;
+  // Lawmatics API updates and form submissions run one at a time, across all workers
+  const lawmaticsLane = createLane();
+
+  /**
+   * Push one document (or status event) through Drive, deadlines, email and Lawmatics.
+   * Returns the document with its classification (and deadline, Drive link when there is one).
+   */
+  async function processSingleDocument(matter, document, type) {
+    const { applicationNumber, lawmaticsID } = matter;
+
+    console.log(`   📄 Processing document: ${document.description} (${dateKey(document.date)})`);
+
+    // The document's category and direction decide which stages run (config/document-rules.json)
+    const classification = classifyDocument(document, type, { directionPolicy: matter.directionPolicy });
+    const stages = new Set(classification.stages);
+    const direction = classification.direction ? `, ${classification.direction} → ${classification.action}` : '';
+    console.log(`   🏷️ ${classification.label} (${classification.priority} priority${direction}): ${classification.stages.join(', ') || 'skipped'}`);
+
+    let processedDoc = { ...document, classification };
+
+    // Download and upload to Google Drive
+    if (stages.has('drive')) {
+      processedDoc = await steps.downloadAndUploadToDrive(applicationNumber, processedDoc, type);
+      if (processedDoc.driveLink) {
+        await Matter.recordDriveLink(matter._id, processedDoc.driveLink);
+      }
+    }
+
+    // Docket the response deadline of office actions and notices of allowance (config/deadline-rules.json)
+    const deadline = computeDeadline(processedDoc, type);
+    if (deadline) {
+      processedDoc = { ...processedDoc, deadline };
+      console.log(`   ⚖️ ${deadline.label} due ${dateKey(deadline.responseDueEffective)} (final ${dateKey(deadline.finalDeadlineEffective)})`);
+      try {
+        await recordDeadline(matter._id, deadline);
+      } catch (error) {
+        console.error(`❌ Error saving deadline for ${applicationNumber}:`, error.message);
+      }
+    }
+
+    // Send email notification
+    if (stages.has('email')) {
+      await steps.sendEmailNotification(applicationNumber, processedDoc, type);
+    }
+
+    // Update Lawmatics via API
+    if (stages.has('lawmatics')) {
+      await lawmaticsLane(() => steps.updateLawmaticsProspect(lawmaticsID, applicationNumber, processedDoc, type));
+    }
+
+    // Get prospect data and submit form via Puppeteer, spaced out from the next submission
+    if (stages.has('form')) {
+      await lawmaticsLane(async () => {
+        const prospectData = await steps.getProspect(lawmaticsID);
+        if (prospectData) {
+          await steps.submitFormWithPuppeteer(lawmaticsID, applicationNumber, processedDoc, type, prospectData);
+          if (submissionDelayMs > 0) await new Promise(r => setTimeout(r, submissionDelayMs));
+        } else {
+          console.log(`⚠️ Could not fetch prospect data for ${lawmaticsID}, skipping form submission`);
+        }
+      });
+    }
+
+    return processedDoc;
+  }
+
+  /**
+   * Check the case status (TSDR for trademarks, ODP metadata for patents) and push a change like a new document
+   */
+  async function processCaseStatus(matter) {
+    const parsed = parseApplicationNumber(matter.applicationNumber, matter.type);
+    if (!parsed.valid) {
+      return null;
+    }
+
+    const isTrademark = parsed.type === 'Trademark';
+    const statusCheck = isTrademark
+      ? await checkTrademarkStatus(matter, { caseParam: parsed.kind === 'registration' ? 'rn' : 'sn' })
+      : await checkPatentStatus(matter);
+    if (statusCheck.status === 'ok') {
+      if (statusCheck.event) {
+        await processSingleDocument(matter, statusCheck.event, parsed.type);
+      }
+      // Stored only after the change was pushed, so a failed push is retried next run
+      if (isTrademark) {
+        await recordTrademarkStatus(matter._id, statusCheck.current);
+      } else {
+        await recordPatentStatus(matter._id, statusCheck.current);
+      }
+    }
+
+    // Also without a fresh snapshot: PCT and provisional dates may have been entered by hand
+    const statusField = isTrademark ? 'trademarkStatus' : 'patentStatus';
+    await updateDerivedDates(statusCheck.status === 'ok' ? { ...matter, [statusField]: statusCheck.current } : matter);
+    return statusCheck;
+  }
+
+  return { processSingleDocument, processCaseStatus, updateDerivedDates };
+}
+
+module.exports = {
+  createMatterPipeline,
+  updateDerivedDates
+};
@@ -0,0 +1,222 @@
+// lib/matterQuery.js
+// Translate /api/matters query parameters into MongoDB filters, sorting and cursors.
+const mongoose = require('mongoose');
+const Matter = require('../models/Matter');
+const { normalizeTags } = require('../models/Matter');
+
+const SORT_FIELDS = ['createdAt', 'lastUpdated', 'applicationNumber', 'lawmaticsID', 'status', 'type',
+  'clientName', 'responsibleAttorney', 'docketNumber'];
+const LIST_FILTER_FIELDS = ['type', 'status', 'lawmaticsID', 'clientName', 'responsibleAttorney', 'paralegal', 'docketNumber'];
+const DATE_FIELDS = ['createdAt', 'lastUpdated'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Patent,Trademark" or ?type=Patent&type=Trademark
+function parseList(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a range bound. A date-only "to" value includes that whole day.
+ */
+function parseRangeDate(value, isUpperBound) {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { $lt: date };
+  }
+  return isUpperBound ? { $lte: date } : { $gte: date };
+}
+
+/**
+ * Build a MongoDB filter from query parameters.
+ *
+ * Supported: type, status, monitoringState, lawmaticsID, clientName, responsibleAttorney,
+ * paralegal, docketNumber, tags (comma-separated lists; tags match any), applicationNumberPrefix, createdFrom/createdTo, updatedFrom/updatedTo,
+ * q (free text across identifiers and metadata) and includeDeleted=true.
+ * Returns { filter, errors }.
+ */
+function buildMatterFilter(query = {}) {
+  const conditions = [];
+  const errors = [];
+
+  if (query.includeDeleted !== 'true') {
+    conditions.push({ deletedAt: null });
+  }
+
+  for (const field of LIST_FILTER_FIELDS) {
+    if (query[field]) {
+      conditions.push({ [field]: { $in: parseList(query[field]) } });
+    }
+  }
+
+  if (query.tags) {
+    conditions.push({ tags: { $in: normalizeTags(parseList(query.tags)) } });
+  }
+
+  if (query.monitoringState) {
+    const states = parseList(query.monitoringState);
+    // Matters imported before lifecycle states existed count as active
+    conditions.push({ monitoringState: { $in: states.includes('active') ? [...states, null] : states } });
+  }
+
+  if (query.applicationNumberPrefix) {
+    conditions.push({ applicationNumber: { $regex: '^' + escapeRegex(String(query.applicationNumberPrefix).trim()) } });
+  }
+
+  const ranges = [
+    ['createdFrom', 'createdAt', false],
+    ['createdTo', 'createdAt', true],
+    ['updatedFrom', 'lastUpdated', false],
+    ['updatedTo', 'lastUpdated', true]
+  ];
+  for (const [param, field, isUpperBound] of ranges) {
+    if (!query[param]) continue;
+    const bound = parseRangeDate(String(query[param]), isUpperBound);
+    if (bound) {
+      conditions.push({ [field]: bound });
+    } else {
+      errors.push(`Invalid date for ${param}: ${query[param]}`);
+    }
+  }
+
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+    conditions.push({
+      $or: [
+        { applicationNumber: pattern },
+        { lawmaticsID: pattern },
+        { status: pattern },
+        { type: pattern },
+        { clientName: pattern },
+        { responsibleAttorney: pattern },
+        { paralegal: pattern },
+        { docketNumber: pattern },
+        { tags: pattern }
+      ]
+    });
+  }
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {}, errors };
+}
+
+/**
+ * Parse ?sort=field or ?sort=-field (descending). Defaults to registry order.
+ */
+function parseSort(sortParam) {
+  if (!sortParam) {
+    return { field: '_id', direction: 1 };
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const field = sortParam.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: `Invalid sort field "${field}". Expected one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  return { field, direction };
+}
+
+function parseLimit(limitParam) {
+  const limit = parseInt(limitParam, 10);
+  if (isNaN(limit) || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function sortSpec({ field, direction }) {
+  return field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+}
+
+/**
+ * Opaque cursor pointing just after the given matter in the current sort order
+ */
+function encodeCursor(matter, { field }) {
+  const value = field === '_id' ? null : matter[field] ?? null;
+  return Buffer.from(JSON.stringify({ v: value, id: String(matter._id) })).toString('base64url');
+}
+
+/**
+ * Filter that selects matters after the cursor; returns null for a malformed cursor.
+ *
+ * MongoDB sorts missing and null values before any other value, so ascending pages run through the
+ * matters without a value first and descending pages end with them. Comparisons like $gt never match
+ * null, hence the explicit branches for the null range.
+ */
+function cursorFilter(cursor, { field, direction }) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!decoded || !mongoose.isValidObjectId(decoded.id)) return null;
+
+  const op = direction === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(decoded.id);
+  if (field === '_id') {
+    return { _id: { [op]: id } };
+  }
+
+  const value = decoded.v ?? null;
+  if (value === null) {
+    const tie = { [field]: null, _id: { [op]: id } };
+    // Ascending: the rest of the nulls, then every value; descending: only the rest of the nulls
+    return direction === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+  }
+
+  const bound = DATE_FIELDS.includes(field) ? new Date(value) : value;
+  const branches = [
+    { [field]: { [op]: bound } },
+    { [field]: bound, _id: { [op]: id } }
+  ];
+  if (direction === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+}
+
+/**
+ * Total plus counts by status, type and monitoring state for the summary cards
+ */
+async function summarizeMatters(filter) {
+  const [result] = await Matter.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        status: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        type: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+        // Matters without a lifecycle state count as active
+        monitoringState: [{ $group: { _id: { $ifNull: ['$monitoringState', 'active'] }, count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const toObject = buckets => Object.fromEntries(buckets.map(bucket => [bucket._id || 'Unknown', bucket.count]));
+  return {
+    total: result.total[0]?.count || 0,
+    counts: {
+      status: toObject(result.status),
+      type: toObject(result.type),
+      monitoringState: toObject(result.monitoringState)
+    }
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  escapeRegex,
+  buildMatterFilter,
+  parseSort,
+  parseLimit,
+  sortSpec,
+  encodeCursor,
+  cursorFilter,
+  summarizeMatters
+};
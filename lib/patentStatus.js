@@ -0,0 +1,205 @@
+// lib/patentStatus.js
+// Application metadata from the USPTO Open Data Portal: status, examiner, art unit, publication, grant,
+// filing and earliest priority date.
+//
+// The meta-data endpoint does not carry priority claims, so for PCT applications and provisionals (whose
+// filing deadlines run from the priority date, see lib/priorityDeadlines.js) the continuity and
+// foreign-priority endpoints are read as well. The continuity response also lists the applications claiming
+// this one (e.g. the US national stage of a PCT application), which close its filing deadlines.
+// A status change (e.g. "Notice of Allowance Mailed", "Patented Case") is a notifiable event,
+// handled like the trademark case status in lib/trademarkStatus.js.
+const Matter = require('../models/Matter');
+const { getPatentMetadata, getPatentContinuity, getPatentForeignPriority } = require('./usptoClient');
+const { fetchFailed } = require('./fetchResult');
+const { parseApplicationNumber } = require('./applicationNumber');
+
+// Fields compared to decide whether the status changed
+const CHANGE_FIELDS = ['statusCode', 'statusDescription', 'statusDate', 'patentNumber'];
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+// Earliest of the filing date and any claimed priority (foreign applications, provisionals and other parents)
+function earliestPriority(claims, filingDate) {
+  const claimed = [
+    ...(claims.foreignPriorityBag || []).map(claim => claim.filingDate),
+    ...(claims.parentContinuityBag || []).map(parent => parent.parentApplicationFilingDate)
+  ].map(toDate).filter(Boolean);
+  const dates = filingDate ? [filingDate, ...claimed] : claimed;
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+}
+
+// Applications claiming this one: { applicationNumber, filingDate, claimType } (claimType e.g. NST, CON, PRO)
+function childApplications(claims) {
+  return (claims.childContinuityBag || []).map(child => ({
+    applicationNumber: text(child.childApplicationNumberText),
+    filingDate: toDate(child.childApplicationFilingDate),
+    claimType: text(child.claimParentageTypeCode)
+  })).filter(child => child.applicationNumber);
+}
+
+function text(value) {
+  return value === null || value === undefined || value === '' ? null : String(value).trim();
+}
+
+/**
+ * Flatten an ODP meta-data response into a status snapshot. claims ({ parentContinuityBag,
+ * childContinuityBag, foreignPriorityBag }, see fetchPriorityClaims) give the priority date and the
+ * child applications; without them those are null.
+ */
+function parsePatentMetadata(data, claims = null) {
+  const wrapper = data?.patentFileWrapperDataBag?.[0] || {};
+  const meta = wrapper.applicationMetaData || {};
+  const filingDate = toDate(meta.filingDate);
+
+  return {
+    statusCode: text(meta.applicationStatusCode),
+    statusDescription: text(meta.applicationStatusDescriptionText),
+    statusDate: toDate(meta.applicationStatusDate),
+    examiner: text(meta.examinerNameText),
+    artUnit: text(meta.groupArtUnitNumber),
+    publicationNumber: text(meta.earliestPublicationNumber || meta.publicationSequenceNumberBag?.[0]),
+    patentNumber: text(meta.patentNumber),
+    grantDate: toDate(meta.grantDate),
+    filingDate,
+    priorityDate: claims ? earliestPriority(claims, filingDate) : null,
+    childApplications: claims ? childApplications(claims) : null
+  };
+}
+
+/**
+ * First file wrapper of an ODP response; an endpoint answering 404 has nothing on file
+ */
+async function fetchWrapper(fetch, applicationNumber) {
+  try {
+    const data = await fetch(applicationNumber);
+    return data?.patentFileWrapperDataBag?.[0] || {};
+  } catch (error) {
+    if (error.response?.status === 404) return {};
+    throw error;
+  }
+}
+
+/**
+ * Priority claims of a PCT application or provisional: { parentContinuityBag, childContinuityBag,
+ * foreignPriorityBag } (a provisional cannot claim foreign priority, so that endpoint is only asked
+ * for PCT applications)
+ */
+async function fetchPriorityClaims(applicationNumber, kind) {
+  const continuity = await fetchWrapper(getPatentContinuity, applicationNumber);
+  const foreign = kind === 'pct' ? await fetchWrapper(getPatentForeignPriority, applicationNumber) : {};
+  return {
+    parentContinuityBag: continuity.parentContinuityBag || [],
+    childContinuityBag: continuity.childContinuityBag || [],
+    foreignPriorityBag: foreign.foreignPriorityBag || []
+  };
+}
+
+/**
+ * Whether two snapshots differ in a way worth notifying about
+ */
+function statusChanged(previous, current) {
+  if (!previous) return false;
+  return CHANGE_FIELDS.some(field => {
+    const before = previous[field] instanceof Date ? previous[field].getTime() : previous[field] ?? null;
+    const after = current[field] instanceof Date ? current[field].getTime() : current[field] ?? null;
+    return String(before) !== String(after);
+  });
+}
+
+/**
+ * Patent Center page for an application, used as the link of status events
+ */
+function patentCenterUrl(applicationNumber) {
+  return `https://patentcenter.uspto.gov/applications/${encodeURIComponent(applicationNumber)}`;
+}
+
+/**
+ * Status change as a document-like event for the email / Lawmatics pipeline
+ */
+function toStatusEvent(applicationNumber, current) {
+  return {
+    date: current.statusDate || new Date(),
+    description: `Status: ${current.statusDescription || current.statusCode || 'Unknown'}`,
+    documentCode: current.statusCode || 'STATUS',
+    category: 'Application Status',
+    link: patentCenterUrl(applicationNumber),
+    statusChange: true
+  };
+}
+
+/**
+ * Fetch the ODP metadata of a patent matter and compare it with the stored snapshot.
+ *
+ * Returns { status, changed, previous, current, event, error } like checkTrademarkStatus.
+ * Call recordPatentStatus once the event has been handled.
+ */
+async function checkPatentStatus(matter) {
+  const { applicationNumber } = matter;
+  let metadata;
+  try {
+    metadata = await getPatentMetadata(applicationNumber);
+  } catch (error) {
+    const failure = fetchFailed(error);
+    console.error(`❌ Error fetching patent metadata for ${applicationNumber}:`, error.message);
+    return { status: failure.status, changed: false, error: failure.error };
+  }
+
+  const current = parsePatentMetadata(metadata);
+
+  // No metadata yet (or an unreadable body): keep the stored snapshot rather than "changing" to nothing
+  if (!current.statusCode && !current.statusDescription) {
+    return { status: 'empty', changed: false, error: null };
+  }
+
+  const previous = matter.patentStatus && matter.patentStatus.checkedAt ? matter.patentStatus : null;
+  const { kind } = parseApplicationNumber(applicationNumber, 'Patent');
+  if (kind === 'pct' || kind === 'provisional') {
+    try {
+      const claims = await fetchPriorityClaims(applicationNumber, kind);
+      current.priorityDate = earliestPriority(claims, current.filingDate);
+      current.childApplications = childApplications(claims);
+    } catch (error) {
+      // Keep the last known claims rather than dropping them
+      console.error(`❌ Error fetching priority claims for ${applicationNumber}:`, error.message);
+      current.priorityDate = previous?.priorityDate || null;
+      current.childApplications = previous?.childApplications || null;
+    }
+  }
+
+  const changed = statusChanged(previous, current);
+
+  if (changed) {
+    console.log(`🔔 Patent #${applicationNumber} status changed: ${previous.statusDescription || previous.statusCode} → ${current.statusDescription || current.statusCode}`);
+  }
+
+  return {
+    status: 'ok',
+    changed,
+    previous,
+    current,
+    event: changed ? toStatusEvent(applicationNumber, current) : null,
+    error: null
+  };
+}
+
+/**
+ * Store the latest metadata snapshot on the matter
+ */
+function recordPatentStatus(matterId, current) {
+  return Matter.updateOne(
+    { _id: matterId },
+    { $set: { patentStatus: { ...current, checkedAt: new Date() } } }
+  );
+}
+
+module.exports = {
+  parsePatentMetadata,
+  fetchPriorityClaims,
+  statusChanged,
+  checkPatentStatus,
+  recordPatentStatus
+};
@@ -0,0 +1,155 @@
+// lib/priorityDeadlines.js
+// Deadlines that run from a filing date rather than from a USPTO action: entering the national phase of a
+// PCT application (30 and 31 months from the priority date) and converting a provisional (12 months from
+// its filing date). They are stored with the response deadlines, so the calendar, the deadlines endpoint
+// and the summary email escalation treat them the same way.
+//
+// The date comes from the matter's priorityDate (entered by hand) or else from the Open Data Portal
+// (patentStatus.priorityDate for PCT, read from the continuity and foreign-priority endpoints, and
+// patentStatus.filingDate for provisionals).
+//
+// The national phase or non-provisional filing is a separate application. Once the continuity endpoint lists
+// it as a child of the matter (claim type NST for a US national stage, PRO for an application claiming a
+// provisional) the deadline is marked satisfied. National phase entry elsewhere (the 31-month deadline) is
+// not on file at the USPTO and is closed by hand with PATCH /api/matters/:id/deadlines/:deadlineId.
+const Matter = require('../models/Matter');
+const { parseApplicationNumber } = require('./applicationNumber');
+const { addMonths, nextBusinessDay, recordDeadline } = require('./deadlines');
+
+const PRIORITY_RULES = [
+  { id: 'pct-national-phase-30', label: 'PCT national phase entry (30 months)', kind: 'pct', months: 30, closedBy: ['NST'] },
+  { id: 'pct-national-phase-31', label: 'PCT national phase entry (31 months, e.g. EP)', kind: 'pct', months: 31 },
+  { id: 'provisional-conversion', label: 'Provisional conversion (12 months)', kind: 'provisional', months: 12, closedBy: ['PRO'] }
+];
+
+// satisfiedBy descriptions of the child applications that close a deadline, by claim type
+const CLAIM_DESCRIPTIONS = {
+  NST: 'US national stage application',
+  PRO: 'Application claiming the provisional'
+};
+
+function dateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Date the filing deadlines of a matter run from, or null for other kinds of application
+ * or when no date is known yet. Returns { kind, date, source: 'manual' | 'uspto' }.
+ */
+function priorityBasis(matter) {
+  const parsed = parseApplicationNumber(matter.applicationNumber, matter.type);
+  if (!parsed.valid || (parsed.kind !== 'pct' && parsed.kind !== 'provisional')) return null;
+
+  // A PCT filing date alone is no basis: a claimed priority moves the deadlines earlier, so wait until the
+  // claims have been read (the priority date is the filing date when nothing is claimed)
+  const uspto = parsed.kind === 'pct'
+    ? matter.patentStatus?.priorityDate
+    : matter.patentStatus?.filingDate;
+  const value = matter.priorityDate || uspto;
+  if (!value) return null;
+
+  const date = new Date(value);
+  return {
+    kind: parsed.kind,
+    date: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())),
+    source: matter.priorityDate ? 'manual' : 'uspto'
+  };
+}
+
+/**
+ * Filing deadlines of a matter, shaped like the deadlines of lib/deadlines.js (not extendable,
+ * so the response date is also the final deadline)
+ */
+function priorityDeadlines(matter) {
+  const basis = priorityBasis(matter);
+  if (!basis) return [];
+
+  const description = basis.kind === 'pct' ? 'Priority date' : 'Provisional filing date';
+  return PRIORITY_RULES.filter(rule => rule.kind === basis.kind).map(rule => {
+    const due = addMonths(basis.date, rule.months);
+    const effective = nextBusinessDay(due);
+    return {
+      ruleId: rule.id,
+      label: rule.label,
+      sourceId: `priority|${rule.id}|${dateKey(basis.date)}`,
+      sourceDocument: { description: `${description} (${basis.source})`, documentCode: null, date: basis.date, link: null },
+      triggerDate: basis.date,
+      responseDue: due,
+      responseDueEffective: effective,
+      extensions: [],
+      finalDeadline: due,
+      finalDeadlineEffective: effective,
+      status: 'open'
+    };
+  });
+}
+
+/**
+ * Store the filing deadlines of a matter. When the priority date changed, the open deadlines
+ * computed from the old date are replaced. Returns the deadlines added.
+ */
+async function recordPriorityDeadlines(matter) {
+  const stored = matter.deadlines || [];
+  const added = [];
+  for (const deadline of priorityDeadlines(matter)) {
+    if (stored.some(existing => existing.sourceId === deadline.sourceId)) continue;
+
+    await Matter.updateOne(
+      { _id: matter._id },
+      { $pull: { deadlines: { ruleId: deadline.ruleId, status: 'open', sourceId: { $ne: deadline.sourceId } } } }
+    );
+    await recordDeadline(matter._id, deadline);
+    console.log(`📅 ${matter.applicationNumber}: ${deadline.label} due ${dateKey(deadline.responseDueEffective)}`);
+    added.push(deadline);
+  }
+  return added;
+}
+
+/**
+ * The child application (see patentStatus.childApplications) that satisfies a filing deadline, or null
+ */
+function findClaimingApplication(deadline, childApplications) {
+  const rule = PRIORITY_RULES.find(candidate => candidate.id === deadline.ruleId);
+  if (!rule || !rule.closedBy) return null;
+  return (childApplications || []).find(child => rule.closedBy.includes(child.claimType)) || null;
+}
+
+/**
+ * Mark the open filing deadlines of a matter satisfied once an application claiming it is on file.
+ * Returns the deadlines closed.
+ */
+async function closeClaimedPriorityDeadlines(matter) {
+  const children = matter.patentStatus?.childApplications;
+  if (!children || children.length === 0) return [];
+
+  // Read back, so deadlines added by recordPriorityDeadlines in the same run are closed too
+  const stored = await Matter.findById(matter._id, { deadlines: 1 }).lean();
+  const closed = [];
+  for (const deadline of stored?.deadlines || []) {
+    if (deadline.status !== 'open') continue;
+    const child = findClaimingApplication(deadline, children);
+    if (!child) continue;
+
+    const satisfiedBy = {
+      description: `${CLAIM_DESCRIPTIONS[child.claimType]} ${child.applicationNumber}`,
+      documentCode: child.claimType,
+      date: child.filingDate ? new Date(child.filingDate) : null
+    };
+    await Matter.updateOne(
+      { _id: matter._id, deadlines: { $elemMatch: { _id: deadline._id, status: 'open' } } },
+      { $set: { 'deadlines.$.status': 'satisfied', 'deadlines.$.satisfiedBy': satisfiedBy, 'deadlines.$.closedAt': new Date() } }
+    );
+    console.log(`✅ ${matter.applicationNumber}: "${deadline.label}" satisfied by ${satisfiedBy.description}`);
+    closed.push({ ...deadline, status: 'satisfied', satisfiedBy });
+  }
+  return closed;
+}
+
+module.exports = {
+  PRIORITY_RULES,
+  priorityBasis,
+  priorityDeadlines,
+  recordPriorityDeadlines,
+  findClaimingApplication,
+  closeClaimedPriorityDeadlines
+};
@@ -0,0 +1,203 @@
+// lib/processedState.js
+// Which USPTO documents have already been processed, per application number.
+//
+// state/lastProcessedState.json used to map each application number to the date of the last
+// processed document, so a second document dated the same day was never picked up. Each entry
+// now records the identities of the documents seen:
+//
+//   { "<applicationNumber>": { "lastProcessedDate": "YYYY-MM-DD", "seen": ["<code>|<date>|<hash>", ...] } }
+//
+// Legacy entries (a plain date string) are migrated when the file is loaded; see migrateState.
+//
+// Both monitors and backfills now keep the same entries on each matter in MongoDB (processedState, see
+// stateFromMatters and Matter.recordProcessedState), so a run resumed by another invocation, or a monitor run
+// after a backfill, sees what the last one recorded. The state file is only read, for matters without one.
+const crypto = require('crypto');
+
+/**
+ * YYYY-MM-DD of a document date
+ */
+function dateKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Stable identity of a document: document code + date + hash of its URL
+ * (of its description when the USPTO gives no URL)
+ */
+function documentId(doc) {
+  const code = doc.documentCode && doc.documentCode !== 'N/A' ? doc.documentCode : doc.description || 'Unknown';
+  const source = doc.link && doc.link !== 'N/A' ? doc.link : doc.description || '';
+  const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 12);
+  return `${code}|${dateKey(doc.date)}|${hash}`;
+}
+
+/**
+ * Whether a state entry still has the legacy date-only format
+ */
+function isLegacyEntry(entry) {
+  return typeof entry === 'string';
+}
+
+/**
+ * Convert date-only entries in place. A migrated entry has no identities yet and is flagged
+ * `baseline`: on its next check every document up to lastProcessedDate is recorded as seen
+ * without being processed, which is what the date comparison used to assume.
+ * Returns the number of migrated entries.
+ */
+function migrateState(state) {
+  let migrated = 0;
+  for (const [applicationNumber, entry] of Object.entries(state)) {
+    if (isLegacyEntry(entry)) {
+      state[applicationNumber] = { lastProcessedDate: entry, seen: [], baseline: true };
+      migrated++;
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Date of the newest processed document of an application, or null
+ */
+function getLastProcessedDate(state, applicationNumber) {
+  const entry = state[applicationNumber];
+  if (!entry) return null;
+  return isLegacyEntry(entry) ? entry : entry.lastProcessedDate || null;
+}
+
+function addSeen(entry, doc) {
+  const id = documentId(doc);
+  if (!entry.seen.includes(id)) {
+    entry.seen.push(id);
+  }
+}
+
+/**
+ * Record a document as seen (and processed)
+ */
+function markSeen(state, applicationNumber, doc) {
+  const entry = state[applicationNumber] || (state[applicationNumber] = { lastProcessedDate: null, seen: [] });
+  addSeen(entry, doc);
+  const docDate = dateKey(doc.date);
+  if (!entry.lastProcessedDate || docDate > entry.lastProcessedDate) {
+    entry.lastProcessedDate = docDate;
+  }
+}
+
+/**
+ * Whether the next selectNewDocuments for an application records its existing documents as seen
+ * (never checked, or a migrated entry)
+ */
+function needsBaseline(state, applicationNumber) {
+  const entry = state[applicationNumber];
+  return !entry || isLegacyEntry(entry) || Boolean(entry.baseline);
+}
+
+/**
+ * Documents of an application that have not been seen yet, in the order given.
+ *
+ * The first check of an application records its existing documents as seen without returning them:
+ * for a matter never checked, those dated before todayDate; for a migrated entry, those dated on or
+ * before its lastProcessedDate. After that, any document whose identity is unknown is new,
+ * whatever its date.
+ */
+function selectNewDocuments(state, applicationNumber, docs, todayDate) {
+  if (isLegacyEntry(state[applicationNumber])) {
+    migrateState(state);
+  }
+
+  let entry = state[applicationNumber];
+  if (!entry || entry.baseline) {
+    const isHistory = entry
+      ? doc => dateKey(doc.date) <= entry.lastProcessedDate
+      : doc => dateKey(doc.date) < todayDate;
+    const history = docs.filter(isHistory);
+
+    entry = state[applicationNumber] = { lastProcessedDate: entry ? entry.lastProcessedDate : null, seen: entry ? entry.seen : [] };
+    for (const doc of history) {
+      addSeen(entry, doc);
+    }
+    if (history.length > 0) {
+      console.log(`📌 ${applicationNumber}: recorded ${history.length} existing document(s) as already seen`);
+    }
+  }
+
+  const seen = new Set(entry.seen);
+  return docs.filter(doc => !seen.has(documentId(doc)));
+}
+
+/**
+ * Documents a backfill still has to archive: those not seen yet plus those whose previous backfill
+ * download failed. Unlike selectNewDocuments nothing is baselined; for a migrated entry the documents
+ * up to its lastProcessedDate count as seen.
+ */
+function selectBackfillDocuments(state, applicationNumber, docs) {
+  const entry = state[applicationNumber];
+  if (!entry) return docs;
+
+  const legacyDate = isLegacyEntry(entry) ? entry : entry.baseline ? entry.lastProcessedDate : null;
+  const seen = new Set(isLegacyEntry(entry) ? [] : entry.seen);
+  const retry = new Set(entry.backfillFailed || []);
+  return docs.filter(doc => {
+    const id = documentId(doc);
+    if (retry.has(id)) return true;
+    if (legacyDate && dateKey(doc.date) <= legacyDate) return false;
+    return !seen.has(id);
+  });
+}
+
+/**
+ * Record a backfill: every document of the application is seen from now on, so none of them is
+ * notified later; failed downloads are kept in backfillFailed for the next backfill to retry.
+ */
+function recordBackfill(state, applicationNumber, docs, failedDocs) {
+  if (isLegacyEntry(state[applicationNumber])) {
+    migrateState(state);
+  }
+  for (const doc of docs) {
+    markSeen(state, applicationNumber, doc);
+  }
+
+  const entry = state[applicationNumber];
+  if (!entry) return;
+  delete entry.baseline;
+  if (failedDocs.length > 0) {
+    entry.backfillFailed = failedDocs.map(documentId);
+  } else {
+    delete entry.backfillFailed;
+  }
+}
+
+/**
+ * State of the given matters from their processedState field. A matter without one falls back to its
+ * entry in legacy (the state file, already migrated), so documents seen before the move are not sent again.
+ */
+function stateFromMatters(matters, legacy = {}) {
+  const state = {};
+  for (const { applicationNumber, processedState } of matters) {
+    const fallback = legacy[applicationNumber];
+    if (processedState) {
+      state[applicationNumber] = {
+        lastProcessedDate: processedState.lastProcessedDate || null,
+        seen: [...(processedState.seen || [])],
+        ...(processedState.baseline ? { baseline: true } : {}),
+        ...(processedState.backfillFailed?.length ? { backfillFailed: [...processedState.backfillFailed] } : {})
+      };
+    } else if (fallback && !isLegacyEntry(fallback)) {
+      state[applicationNumber] = { ...fallback, seen: [...fallback.seen] };
+    }
+  }
+  return state;
+}
+
+module.exports = {
+  documentId,
+  migrateState,
+  getLastProcessedDate,
+  markSeen,
+  needsBaseline,
+  selectNewDocuments,
+  selectBackfillDocuments,
+  recordBackfill,
+  stateFromMatters
+};
@@ -0,0 +1,157 @@
+// lib/trademarkStatus.js
+// TSDR case status for trademarks: status code/description/date, registration and owner.
+// Status changes ("Published for Opposition", "Registered", "Abandoned") can appear before
+// any document does, so the monitors treat a change as a notifiable event.
+const { parseStringPromise, processors } = require('xml2js');
+const Matter = require('../models/Matter');
+const { getTrademarkStatusXml } = require('./usptoClient');
+const { fetchFailed } = require('./fetchResult');
+
+// Tag names differ between TSDR schema versions; the first one present wins
+const STATUS_FIELDS = {
+  statusCode: ['MarkCurrentStatusCode', 'ApplicationStatusCode', 'StatusCode'],
+  statusDescription: ['MarkCurrentStatusExternalDescriptionText', 'MarkCurrentStatusInternalDescriptionText', 'StatusDescriptionText'],
+  statusDate: ['MarkCurrentStatusDate', 'StatusDate'],
+  registrationNumber: ['RegistrationNumber'],
+  registrationDate: ['RegistrationDate']
+};
+const OWNER_NAME_FIELDS = ['EntityName', 'LegalEntityName', 'OrganizationStandardName', 'PersonFullName'];
+
+// Fields compared to decide whether the status changed
+const CHANGE_FIELDS = ['statusCode', 'statusDescription', 'statusDate', 'registrationNumber'];
+
+/**
+ * Depth-first search for the first value of any of the given tag names
+ */
+function findFirst(node, names) {
+  if (!node || typeof node !== 'object') return null;
+  for (const name of names) {
+    if (node[name] !== undefined) {
+      const value = Array.isArray(node[name]) ? node[name][0] : node[name];
+      return typeof value === 'object' ? value._ ?? value : value;
+    }
+  }
+  for (const [key, child] of Object.entries(node)) {
+    if (key === '$') continue;
+    for (const item of [].concat(child)) {
+      const found = findFirst(item, names);
+      if (found !== null) return found;
+    }
+  }
+  return null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).replace(/-\d{2}:\d{2}$/, ''));
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Parse a TSDR casestatus info.xml response into a status snapshot
+ */
+async function parseTrademarkStatusXml(xml) {
+  const result = await parseStringPromise(xml, {
+    explicitArray: false,
+    tagNameProcessors: [processors.stripPrefix]
+  });
+
+  const applicant = findFirst(result, ['Applicant']);
+  const text = value => (value === null || value === undefined || value === '' ? null : String(value).trim());
+
+  return {
+    statusCode: text(findFirst(result, STATUS_FIELDS.statusCode)),
+    statusDescription: text(findFirst(result, STATUS_FIELDS.statusDescription)),
+    statusDate: toDate(findFirst(result, STATUS_FIELDS.statusDate)),
+    registrationNumber: text(findFirst(result, STATUS_FIELDS.registrationNumber)),
+    registrationDate: toDate(findFirst(result, STATUS_FIELDS.registrationDate)),
+    owner: text(findFirst(applicant, OWNER_NAME_FIELDS))
+  };
+}
+
+/**
+ * Whether two snapshots differ in a way worth notifying about
+ */
+function statusChanged(previous, current) {
+  if (!previous) return false;
+  return CHANGE_FIELDS.some(field => {
+    const before = previous[field] instanceof Date ? previous[field].getTime() : previous[field] ?? null;
+    const after = current[field] instanceof Date ? current[field].getTime() : current[field] ?? null;
+    return String(before) !== String(after);
+  });
+}
+
+/**
+ * Public TSDR page for a case, used as the link of status events
+ */
+function tsdrStatusUrl(applicationNumber) {
+  return `https://tsdr.uspto.gov/#caseNumber=${applicationNumber}&caseSearchType=US_APPLICATION&caseType=DEFAULT&searchType=statusSearch`;
+}
+
+/**
+ * Status change as a document-like event, so it can go through the same
+ * email / Lawmatics pipeline as a new document (never downloaded to Drive)
+ */
+function toStatusEvent(applicationNumber, current) {
+  return {
+    date: current.statusDate || new Date(),
+    description: `Status: ${current.statusDescription || current.statusCode || 'Unknown'}`,
+    documentCode: current.statusCode || 'STATUS',
+    category: 'Case Status',
+    link: tsdrStatusUrl(applicationNumber),
+    statusChange: true
+  };
+}
+
+/**
+ * Fetch the TSDR status of a trademark matter and compare it with the stored snapshot.
+ *
+ * Returns { status, changed, previous, current, event, error }: status is a fetch status
+ * (see lib/fetchResult.js). The first snapshot of a matter never raises an event.
+ * Call recordTrademarkStatus once the event has been handled.
+ */
+async function checkTrademarkStatus(matter, { caseParam = 'sn' } = {}) {
+  const { applicationNumber } = matter;
+  let current;
+  try {
+    const xml = await getTrademarkStatusXml(applicationNumber, { caseParam });
+    current = await parseTrademarkStatusXml(xml);
+  } catch (error) {
+    const failure = fetchFailed(error);
+    console.error(`❌ Error fetching trademark status for ${applicationNumber}:`, error.message);
+    return { status: failure.status, changed: false, error: failure.error };
+  }
+
+  const previous = matter.trademarkStatus && matter.trademarkStatus.checkedAt ? matter.trademarkStatus : null;
+  const changed = statusChanged(previous, current);
+
+  if (changed) {
+    console.log(`🔔 Trademark #${applicationNumber} status changed: ${previous.statusDescription || previous.statusCode} → ${current.statusDescription || current.statusCode}`);
+  }
+
+  return {
+    status: 'ok',
+    changed,
+    previous,
+    current,
+    event: changed ? toStatusEvent(applicationNumber, current) : null,
+    error: null
+  };
+}
+
+/**
+ * Store the latest status snapshot on the matter
+ */
+function recordTrademarkStatus(matterId, current) {
+  return Matter.updateOne(
+    { _id: matterId },
+    { $set: { trademarkStatus: { ...current, checkedAt: new Date() } } }
+  );
+}
+
+module.exports = {
+  parseTrademarkStatusXml,
+  statusChanged,
+  checkTrademarkStatus,
+  recordTrademarkStatus
+};
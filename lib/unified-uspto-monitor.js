@@ -1,4 +1,5 @@
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 const cron = require('node-cron');
 const fs = require('fs');
@@ -7,6 +8,23 @@ const nodemailer = require('nodemailer');
 const { parseStringPromise } = require('xml2js');
 const puppeteer = require("puppeteer");
 const { uploadToDrive } = require('./googleDrive');
+const { connectDB } = require('../config/database');
+const { parseApplicationNumber } = require('./applicationNumber');
+const { readJson } = require('./jsonStore');
+const { REQUIRED_ENV_VARS: USPTO_ENV_VARS, getTrademarkDocumentsXml, getPatentDocuments, downloadDocument } = require('./usptoClient');
+const { fetchSucceeded, fetchFailed, isDegraded, reasonForFetch, matterStatusFor } = require('./fetchResult');
+const { migrateState, getLastProcessedDate, markSeen, needsBaseline, selectNewDocuments, stateFromMatters } = require('./processedState');
+const {
+  describeDeadline,
+  closeAnsweredDeadlines,
+  docketExistingDocuments,
+  findEscalatedDeadlines
+} = require('./deadlines');
+const { createMatterPipeline } = require('./matterPipeline');
+const { parseConcurrency, runPool } = require('./workerPool');
+const Matter = require('../models/Matter');
+const MonitorRun = require('../models/MonitorRun');
+const { isMonitored } = require('../models/Matter');
 
 // ========================
 // 🛠️ INITIAL SETUP
@@ -18,22 +36,9 @@ if (!fs.existsSync(tmpDir)) {
   console.log('📁 Created tmp directory');
 }
 
-// Create state directory for tracking last processed dates
-const stateDir = path.join(__dirname, '../state');
-if (!fs.existsSync(stateDir)) {
-  fs.mkdirSync(stateDir, { recursive: true });
-  console.log('📁 Created state directory');
-}
-
-// State file to track last processed dates
-const STATE_FILE = path.join(stateDir, 'lastProcessedState.json');
-
-// Load application mapping with absolute path
-const mapDataPath = path.join(__dirname, '../map.json');
-if (!fs.existsSync(mapDataPath)) {
-  console.error('❌ map.json file not found!');
-  process.exit(1);
-}
+// Seen documents are stored on the matters (processedState); the state file of older versions is only read,
+// for matters that have no processedState yet
+const STATE_FILE = path.join(__dirname, '../state/lastProcessedState.json');
 
 // Form configuration
 const FORM_URL = "https://app.lawmatics.com/forms/update-by-id/d2ab9a6a-2800-41f3-a4ba-51feedbf02b3";
@@ -42,8 +47,29 @@ const LAW_TOKEN = process.env.LAW_TOKEN;
 // Multi-document configuration
 const SUBMISSION_DELAY_MS = 5000; // 5 seconds delay between submissions
 
+// Matters checked at once; USPTO requests are still paced per host by lib/usptoClient.js
+const MONITOR_CONCURRENCY = parseConcurrency(process.env.MONITOR_CONCURRENCY);
+// No new matter is started after this long, so the cursor is saved and the summary sent within maxDuration (300s)
+const RUN_BUDGET_MS = parseInt(process.env.MONITOR_RUN_BUDGET_MS, 10) || 240000;
+// Matters read per shard; the run's cursor moves after each shard
+const SHARD_SIZE = parseConcurrency(process.env.MONITOR_SHARD_SIZE, 100);
+// An invocation that dies keeps the run to itself this long, then the next one resumes it
+const RUN_LEASE_MS = 5 * 60 * 1000;
+// A new run starts this long after the previous one started; invocations in between continue or skip
+const SWEEP_INTERVAL_HOURS = parseFloat(process.env.MONITOR_SWEEP_INTERVAL_HOURS) || 6;
+const SWEEP_INTERVAL_MS = SWEEP_INTERVAL_HOURS * 60 * 60 * 1000;
+// Per-document and case status steps shared with the Render monitor (Googlecron.js)
+const { processSingleDocument, processCaseStatus } = createMatterPipeline({
+  downloadAndUploadToDrive,
+  sendEmailNotification,
+  updateLawmaticsProspect,
+  getProspect,
+  submitFormWithPuppeteer,
+  submissionDelayMs: SUBMISSION_DELAY_MS
+});
+
 // Validate environment variables
-const requiredEnvVars = ['EMAIL_USER', 'EMAIL_PASS', 'EMAIL_TO', 'GDRIVE_FOLDER_ID'];
+const requiredEnvVars = ['EMAIL_USER', 'EMAIL_PASS', 'EMAIL_TO', 'GDRIVE_FOLDER_ID', ...USPTO_ENV_VARS];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -65,30 +91,39 @@ const transporter = nodemailer.createTransport({
 // ========================
 
 /**
- * Load last processed state
+ * Load the state file of older versions (seen document identities per application, see lib/processedState.js),
+ * migrated in memory; {} when there is none. It is never written: matters carry their own state from their
+ * first check on. A corrupt state file throws instead of returning {}, which would re-send every document.
  */
-async function loadLastProcessedState() {
+async function loadLegacyProcessedState() {
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = await fs.promises.readFile(STATE_FILE, 'utf8');
-      return JSON.parse(data);
+    const state = await readJson(STATE_FILE, {});
+    const migrated = migrateState(state);
+    if (migrated > 0) {
+      console.log(`🔄 Migrated ${migrated} date-only state entr${migrated === 1 ? 'y' : 'ies'} to document identities`);
     }
+    return state;
   } catch (error) {
     console.error("❌ Error loading state file:", error.message);
+    throw error;
   }
-  return {};
 }
 
 /**
- * Save last processed state
+ * Processed state of the given matters, from MongoDB with the state file as fallback
  */
-async function saveLastProcessedState(state) {
-  try {
-    await fs.promises.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
-    console.log('💾 State file updated');
-  } catch (error) {
-    console.error("❌ Error saving state file:", error.message);
-  }
+async function loadLastProcessedState(matters) {
+  return stateFromMatters(matters, await loadLegacyProcessedState());
+}
+
+/**
+ * Save the processed state of the given matters to MongoDB, merged into what is stored
+ */
+async function saveLastProcessedState(state, matters) {
+  const entries = matters
+    .filter(matter => state[matter.applicationNumber])
+    .map(matter => ({ matterId: matter._id, entry: state[matter.applicationNumber] }));
+  await Matter.recordProcessedState(entries);
 }
 
 /**
@@ -99,62 +134,54 @@ function getTodayDateKey() {
   return now.toISOString().split('T')[0]; // Returns YYYY-MM-DD
 }
 
-/**
- * Check if document is new (from today or newer than last processed date)
- */
-function isNewDocument(docDate, lastProcessedDate, todayDate) {
-  const docDateStr = docDate.toISOString().split('T')[0];
-  
-  // If we have a last processed date, compare with that
-  if (lastProcessedDate) {
-    // Only process if the document date is STRICTLY newer than last processed
-    // This prevents reprocessing the same document
-    return docDateStr > lastProcessedDate;
-  }
-  
-  // Otherwise, only process documents from today or future
-  return docDateStr >= todayDate;
-}
 
 // ========================
 // 🔧 Core Functions
 // ========================
 
 /**
- * Load matter mapping from map.json
+ * Load matter mapping from the database.
+ * By default only monitored matters are returned; includeInactive adds paused and archived ones.
  */
-async function loadMatterMap() {
+async function loadMatterMap({ includeInactive = false } = {}) {
   try {
-    const data = await fs.promises.readFile(mapDataPath, 'utf8');
-    return JSON.parse(data);
+    await connectDB();
+    if (includeInactive) {
+      await Matter.resumeDuePauses();
+      return await Matter.find({ deletedAt: null }).select('+processedState').sort({ _id: 1 }).lean();
+    }
+    return await Matter.findMonitored();
   } catch (error) {
-    console.error("❌ Error loading map.json:", error.message);
+    console.error("❌ Error loading matters:", error.message);
     return [];
   }
 }
 
 /**
- * Fetch ALL Trademark documents from USPTO API (not just latest)
+ * Fetch ALL Trademark documents from USPTO API (not just latest).
+ * Returns a typed result { status, docs, error } (see lib/fetchResult.js).
  */
 async function fetchAllTrademarkDocs(applicationNumber) {
+  const parsed = parseApplicationNumber(applicationNumber, "Trademark");
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return fetchFailed(new Error(parsed.error));
+  }
+
   try {
-    const url = `https://tsdrapi.uspto.gov/ts/cd/casedocs/bundle.xml?sn=${applicationNumber}`;
-    
+    // Registration numbers are looked up with rn=, serial numbers with sn=
+    const caseParam = parsed.kind === 'registration' ? 'rn' : 'sn';
+
     console.log(`🔍 Fetching ALL trademark data for ${applicationNumber}...`);
-    
-    const { data } = await axios.get(url, {
-      headers: { 
-        'USPTO-API-KEY': process.env.USPTO_API_KEY || '5WFZ8ApIfVK4ZZKevqIGFn0WtgLVmw4w'
-      },
-      timeout: 15000
-    });
+
+    const data = await getTrademarkDocumentsXml(parsed.applicationNumber, { caseParam });
 
     const result = await parseStringPromise(data);
     const docs = result?.DocumentList?.Document || [];
 
     if (docs.length === 0) {
       console.log(` No trademark documents found for application ${applicationNumber}`);
-      return [];
+      return fetchSucceeded([]);
     }
 
     const parsedDocs = docs
@@ -173,40 +200,37 @@ async function fetchAllTrademarkDocs(applicationNumber) {
       .sort((a, b) => b.date - a.date);
 
     console.log(`✅ Found ${parsedDocs.length} trademark documents for ${applicationNumber}`);
-    return parsedDocs;
+    return fetchSucceeded(parsedDocs);
   } catch (error) {
     console.error(`❌ Error fetching trademark docs for ${applicationNumber}:`, error.message);
     if (error.response) {
       console.error(`Status: ${error.response.status}`);
       console.error(`Response: ${JSON.stringify(error.response.data)}`);
     }
-    return [];
+    return fetchFailed(error);
   }
 }
 
 /**
- * Fetch ALL Patent documents from USPTO API (not just latest)
+ * Fetch ALL Patent documents from USPTO API (not just latest).
+ * Returns a typed result { status, docs, error } (see lib/fetchResult.js).
  */
 async function fetchAllPatentDocs(applicationNumber) {
-  try {
-    const url = `https://api.uspto.gov/api/v1/patent/applications/${encodeURIComponent(
-      applicationNumber
-    )}/documents`;
+  const parsed = parseApplicationNumber(applicationNumber, "Patent");
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return fetchFailed(new Error(parsed.error));
+  }
 
+  try {
     console.log(`🔍 Fetching ALL patent data for ${applicationNumber}...`);
-    
-    const { data } = await axios.get(url, {
-      headers: {
-        accept: "application/json",
-        "X-API-KEY": process.env.USPTO_API_KEY || "wbrvfnkztibwvbguoheyakqjlhgagv",
-      },
-      timeout: 15000,
-    });
+
+    const data = await getPatentDocuments(parsed.applicationNumber);
 
     const docs = data?.documentBag || [];
     if (docs.length === 0) {
       console.log(` No patent documents found for application ${applicationNumber}`);
-      return [];
+      return fetchSucceeded([]);
     }
 
     const parsedDocs = docs
@@ -221,10 +245,10 @@ async function fetchAllPatentDocs(applicationNumber) {
       .sort((a, b) => b.date - a.date);
 
     console.log(`✅ Found ${parsedDocs.length} patent documents for ${applicationNumber}`);
-    return parsedDocs;
+    return fetchSucceeded(parsedDocs);
   } catch (error) {
     console.error(`❌ Error fetching patent docs for ${applicationNumber}:`, error.message);
-    return [];
+    return fetchFailed(error);
   }
 }
 
@@ -232,7 +256,8 @@ async function fetchAllPatentDocs(applicationNumber) {
  * Download and upload document to Google Drive
  */
 async function downloadAndUploadToDrive(applicationNumber, latestDoc, type) {
-  if (!latestDoc.link || latestDoc.link === 'N/A') {
+  // Status events link to the TSDR case page, which is not a document to archive
+  if (!latestDoc.link || latestDoc.link === 'N/A' || latestDoc.statusChange) {
     return latestDoc;
   }
 
@@ -254,10 +279,7 @@ async function downloadAndUploadToDrive(applicationNumber, latestDoc, type) {
       mimeType = 'application/pdf';
     } else {
       // Trademark documents - handle both XML and PDF endpoints
-      response = await axios.get(latestDoc.link, { 
-        responseType: 'arraybuffer',
-        timeout: 30000 
-      });
+      response = await downloadDocument(latestDoc.link, { type });
       
       // Detect file type based on URL pattern and content
       if (latestDoc.link.includes('/webcontent')) {
@@ -553,19 +575,28 @@ async function submitFormWithPuppeteer(matterId, applicationNumber, latestDoc, t
  */
 async function sendEmailNotification(applicationNumber, latestDoc, type) {
   const docUrl = latestDoc.driveLink || latestDoc.link || "N/A";
+  const { classification } = latestDoc;
+  // High-priority documents are flagged in the subject line and with a banner
+  const flag = classification?.priority === 'high' ? classification.priorityLabel : null;
   
   await transporter.sendMail({
     from: process.env.EMAIL_USER,
     to: process.env.EMAIL_TO,
-    subject: `📄 New ${latestDoc.description} for ${type} #${applicationNumber}`,
+    subject: `${flag ? `🚨 [${flag}] ` : '📄 '}New ${latestDoc.description} for ${type} #${applicationNumber}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        ${flag ? `
+          <div style="background-color: #fdecea; color: #c0392b; padding: 12px 20px; border-radius: 8px; border-left: 4px solid #c0392b;">
+            🚨 <strong>${flag}:</strong> ${classification.label}
+          </div>
+        ` : ''}
         <h2 style="color: #2c3e50;">📄 New USPTO Document Found</h2>
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin-top: 0;">${type} Application: <strong>${applicationNumber}</strong></h3>
           <ul style="list-style: none; padding: 0;">
             <li>📅 <strong>Document Date:</strong> ${latestDoc.date.toISOString().split('T')[0]}</li>
             <li>📋 <strong>Document Type:</strong> ${latestDoc.description}</li>
+            ${classification ? `<li>🏷️ <strong>Classification:</strong> ${classification.label} (${classification.priorityLabel})</li>` : ''}
             ${type === "Patent" ? `
               <li>🔢 <strong>Document Code:</strong> ${latestDoc.documentCode}</li>
               <li>📁 <strong>Category:</strong> ${latestDoc.category}</li>
@@ -574,6 +605,14 @@ async function sendEmailNotification(applicationNumber, latestDoc, type) {
             ${latestDoc.driveLink ? `<li>☁️ <strong>Storage:</strong> Google Drive</li>` : ''}
           </ul>
         </div>
+        ${latestDoc.deadline ? `
+          <div style="background-color: #fff8e1; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f57c00;">
+            <h3 style="margin-top: 0; color: #e65100;">⚖️ ${latestDoc.deadline.label}</h3>
+            <ul style="list-style: none; padding: 0;">
+              ${describeDeadline(latestDoc.deadline).map(([label, text]) => `<li>📅 <strong>${label}:</strong> ${text}</li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
         <p style="color: #7f8c8d; font-size: 14px; text-align: center;">
           This is an automated update from USPTO ${type} Monitoring System<br>
           Monitored via Vercel Deployment
@@ -586,21 +625,135 @@ async function sendEmailNotification(applicationNumber, latestDoc, type) {
 }
 
 /**
- * Send comprehensive summary email
+ * Group updated matters by responsible attorney (unassigned matters last)
+ */
+function groupByAttorney(matters) {
+  const groups = new Map();
+  for (const matter of matters) {
+    const attorney = matter.responsibleAttorney || 'Unassigned';
+    if (!groups.has(attorney)) groups.set(attorney, []);
+    groups.get(attorney).push(matter);
+  }
+  return [...groups.entries()].sort(([a], [b]) => {
+    if (a === 'Unassigned') return 1;
+    if (b === 'Unassigned') return -1;
+    return a.localeCompare(b);
+  });
+}
+
+/**
+ * Count failed lookups by fetch status, e.g. { rate_limited: 2, error: 1 }
+ */
+function countByFetchStatus(results) {
+  const counts = {};
+  for (const result of results) {
+    counts[result.fetchStatus] = (counts[result.fetchStatus] || 0) + 1;
+  }
+  return counts;
+}
+
+const FETCH_STATUS_LABELS = {
+  not_found: 'Not found at USPTO',
+  rate_limited: 'Rate limited',
+  error: 'USPTO unavailable'
+};
+
+const ESCALATION_LABELS = {
+  missed: { text: '❌ Missed', color: '#b71c1c' },
+  extension: { text: '💸 Extension fee due', color: '#c62828' },
+  urgent: { text: '🚨 Urgent', color: '#e65100' },
+  warning: { text: '⏳ Coming due', color: '#f9a825' }
+};
+
+/**
+ * Send comprehensive summary email.
+ * failedMatters are matters whose USPTO lookup failed; any outage or throttling marks the run as degraded.
+ * escalatedDeadlines are open deadlines needing attention (see findEscalatedDeadlines in lib/deadlines.js).
  */
-async function sendSummaryEmail(updatedMatters, totalMatters, totalDocuments) {
+async function sendSummaryEmail(updatedMatters, totalMatters, totalDocuments, failedMatters = [], escalatedDeadlines = []) {
   const date = new Date().toISOString().split('T')[0];
   const time = new Date().toLocaleTimeString();
+  const degraded = failedMatters.some(result => isDegraded(result.fetchStatus));
+  const pressingDeadlines = escalatedDeadlines.filter(item => item.level !== 'warning').length;
+
+  let deadlinesTable = '';
+  if (escalatedDeadlines.length > 0) {
+    deadlinesTable = `
+      <div style="background-color: #fdecea; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #c62828;">
+        <h3 style="margin-top: 0; color: #b71c1c;">⚖️ Deadlines Needing Attention (${escalatedDeadlines.length})</h3>
+        <p>No response has been seen at the USPTO for these deadlines yet.</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="background-color: #b71c1c; color: white;">
+              <th style="padding: 10px; border: 1px solid #ddd;">Level</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Application Number</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Responsible Attorney</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Deadline</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Next Date</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Days Left</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${escalatedDeadlines.map(item => `
+              <tr>
+                <td style="padding: 8px; border: 1px solid #ddd; color: ${ESCALATION_LABELS[item.level].color};"><strong>${ESCALATION_LABELS[item.level].text}</strong></td>
+                <td style="padding: 8px; border: 1px solid #ddd;"><strong>${item.applicationNumber}</strong>${item.docketNumber ? `<br><small>${item.docketNumber}</small>` : ''}${item.clientName ? `<br><small>${item.clientName}</small>` : ''}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${item.responsibleAttorney || 'Unassigned'}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${item.deadline.label}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${item.label}: ${item.date.toISOString().split('T')[0]}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${item.daysLeft}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
   
+  let failedTable = '';
+  if (failedMatters.length > 0) {
+    failedTable = `
+      <div style="background-color: #fff8e1; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f57c00;">
+        <h3 style="margin-top: 0; color: #e65100;">⚠️ Matters Not Checked (${failedMatters.length})</h3>
+        <p>The USPTO lookup failed for these matters, so new documents may have been missed. They will be retried on the next check.</p>
+        <table style="width: 100%; border-collapse: collapse;">
+          <thead>
+            <tr style="background-color: #e65100; color: white;">
+              <th style="padding: 10px; border: 1px solid #ddd;">Application Number</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Type</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Responsible Attorney</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Problem</th>
+              <th style="padding: 10px; border: 1px solid #ddd;">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${failedMatters.map(matter => `
+              <tr>
+                <td style="padding: 8px; border: 1px solid #ddd;"><strong>${matter.applicationNumber}</strong></td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${matter.type}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${matter.responsibleAttorney || 'Unassigned'}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${FETCH_STATUS_LABELS[matter.fetchStatus] || matter.fetchStatus}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${matter.description || ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
   let mattersTable = '';
   if (updatedMatters.length > 0) {
     mattersTable = `
       <h3>🆕 Updated Matters (${updatedMatters.length}):</h3>
-      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      ${groupByAttorney(updatedMatters).map(([attorney, matters]) => `
+      <h4 style="margin: 25px 0 0 0; color: #2c3e50;">👤 ${attorney} (${matters.length})</h4>
+      <table style="width: 100%; border-collapse: collapse; margin: 10px 0 20px 0;">
         <thead>
           <tr style="background-color: #2c3e50; color: white;">
             <th style="padding: 12px; border: 1px solid #ddd;">#</th>
             <th style="padding: 12px; border: 1px solid #ddd;">Application Number</th>
+            <th style="padding: 12px; border: 1px solid #ddd;">Client</th>
             <th style="padding: 12px; border: 1px solid #ddd;">Type</th>
             <th style="padding: 12px; border: 1px solid #ddd;">Latest Date</th>
             <th style="padding: 12px; border: 1px solid #ddd;">Documents</th>
@@ -608,37 +761,49 @@ async function sendSummaryEmail(updatedMatters, totalMatters, totalDocuments) {
           </tr>
         </thead>
         <tbody>
-          ${updatedMatters.map((matter, index) => `
+          ${matters.map((matter, index) => `
             <tr style="${index % 2 === 0 ? 'background-color: #f8f9fa;' : ''}">
               <td style="padding: 10px; border: 1px solid #ddd;">${index + 1}</td>
-              <td style="padding: 10px; border: 1px solid #ddd;"><strong>${matter.applicationNumber}</strong></td>
+              <td style="padding: 10px; border: 1px solid #ddd;"><strong>${matter.applicationNumber}</strong>${matter.docketNumber ? `<br><small>${matter.docketNumber}</small>` : ''}</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${matter.clientName || '—'}</td>
               <td style="padding: 10px; border: 1px solid #ddd;">${matter.type}</td>
               <td style="padding: 10px; border: 1px solid #ddd; color: #27ae60;"><strong>${matter.latestDocDate}</strong></td>
               <td style="padding: 10px; border: 1px solid #ddd;">${matter.docCount}</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${matter.description}</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${matter.flag ? `🚨 <strong style="color: #c0392b;">${matter.flag}</strong><br>` : ''}${matter.description}</td>
             </tr>
           `).join('')}
         </tbody>
       </table>
+      `).join('')}
     `;
-  } else {
+  } else if (failedMatters.length === 0) {
     mattersTable = `
       <div style="background-color: #e8f5e9; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <h3 style="margin-top: 0; color: #2e7d32;">✅ All Matters Up to Date</h3>
         <p>No new documents found for any matters since last check.</p>
       </div>
     `;
+  } else {
+    mattersTable = `
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #555;">No New Documents Among Checked Matters</h3>
+        <p>${totalMatters - failedMatters.length} of ${totalMatters} matters were checked; see below for the rest.</p>
+      </div>
+    `;
   }
   
   await transporter.sendMail({
     from: process.env.EMAIL_USER,
     to: process.env.EMAIL_TO,
-    subject: `📊 USPTO Monitor Summary - ${date} ${time} (6-Hour Check)`,
+    subject: (degraded
+      ? `⚠️ USPTO Monitor Summary (DEGRADED: ${failedMatters.length} not checked) - ${date} ${time} (Scheduled Run)`
+      : `📊 USPTO Monitor Summary - ${date} ${time} (Scheduled Run)`) +
+      (pressingDeadlines > 0 ? ` - ⚖️ ${pressingDeadlines} deadline${pressingDeadlines > 1 ? 's' : ''} need attention` : ''),
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0;">
           <h1 style="margin: 0; font-size: 28px;">🔍 USPTO Monitoring Summary</h1>
-          <p style="opacity: 0.9; margin: 5px 0 0 0;">${date} | ${time} | 6-Hour Check</p>
+          <p style="opacity: 0.9; margin: 5px 0 0 0;">${date} | ${time} | Scheduled Run</p>
         </div>
         
         <div style="padding: 30px; background-color: white; border-radius: 0 0 10px 10px; box-shadow: 0 2px 20px rgba(0,0,0,0.1);">
@@ -657,16 +822,23 @@ async function sendSummaryEmail(updatedMatters, totalMatters, totalDocuments) {
               <h3 style="margin: 0 0 10px 0; color: #f57c00;">📄 Documents</h3>
               <p style="font-size: 32px; margin: 0; font-weight: bold; color: #f57c00;">${totalDocuments}</p>
             </div>
+            ${failedMatters.length > 0 ? `
+            <div style="background-color: #ffebee; padding: 20px; border-radius: 8px; text-align: center;">
+              <h3 style="margin: 0 0 10px 0; color: #c62828;">⚠️ Not Checked</h3>
+              <p style="font-size: 32px; margin: 0; font-weight: bold; color: #c62828;">${failedMatters.length}</p>
+            </div>` : ''}
           </div>
           
+          ${deadlinesTable}
           ${mattersTable}
+          ${failedTable}
           
           <!-- Schedule Information -->
           <div style="margin-top: 40px; padding: 20px; background-color: #f9f9f9; border-radius: 8px; border-left: 4px solid #3498db;">
             <h3 style="margin-top: 0; color: #2c3e50;">⏰ Monitoring Schedule</h3>
             <ul style="color: #555;">
-              <li><strong>6-Hour Checks:</strong> Running every 6 hours (0:00, 6:00, 12:00, 18:00 UTC)</li>
-              <li><strong>Next Check:</strong> In 6 hours</li>
+              <li><strong>Runs:</strong> A full check of every matter starts every ${SWEEP_INTERVAL_HOURS} hours; Vercel Cron continues it every 15 minutes until done</li>
+              <li><strong>Next Run:</strong> ${SWEEP_INTERVAL_HOURS} hours after this one started</li>
               <li><strong>Daily Report:</strong> Generated at 9:00 AM daily</li>
               <li><strong>Last Run:</strong> ${new Date().toLocaleString()}</li>
             </ul>
@@ -690,51 +862,65 @@ async function sendSummaryEmail(updatedMatters, totalMatters, totalDocuments) {
 // ========================
 
 /**
- * Process a single document with all steps
+ * Process a single matter: new documents plus case status changes.
+ * shouldStop() true stops it from starting another document (see processMatterDocuments).
  */
-async function processSingleDocument(matter, document, type) {
-  const { applicationNumber, lawmaticsID } = matter;
-  
-  console.log(`   📄 Processing document: ${document.description} (${document.date.toISOString().split('T')[0]})`);
-
-  // Download and upload to Google Drive
-  const processedDoc = await downloadAndUploadToDrive(applicationNumber, document, type);
-
-  // Send email notification
-  await sendEmailNotification(applicationNumber, processedDoc, type);
+async function processMatter(matter, lastProcessedState, todayDate, { shouldStop = () => false } = {}) {
+  const result = await processMatterDocuments(matter, lastProcessedState, todayDate, shouldStop);
+  const statusCheck = await processCaseStatus(matter);
 
-  // Update Lawmatics via API
-  await updateLawmaticsProspect(lawmaticsID, applicationNumber, processedDoc, type);
-
-  // Get prospect data and submit form via Puppeteer
-  const prospectData = await getProspect(lawmaticsID);
-  if (prospectData) {
-    await submitFormWithPuppeteer(lawmaticsID, applicationNumber, processedDoc, type, prospectData);
-  } else {
-    console.log(`⚠️ Could not fetch prospect data for ${lawmaticsID}, skipping form submission`);
+  if (!statusCheck) {
+    return result;
+  }
+  if (!statusCheck.changed) {
+    return { ...result, statusFetchStatus: statusCheck.status };
   }
 
-  return { processed: true, docDate: processedDoc.date };
+  return {
+    ...result,
+    processed: true,
+    statusFetchStatus: statusCheck.status,
+    statusChanged: true,
+    caseStatus: statusCheck.current.statusDescription,
+    description: result.processed ? result.description : statusCheck.event.description,
+    latestDocDate: result.processed ? result.latestDocDate : statusCheck.event.date.toISOString().split('T')[0]
+  };
 }
 
 /**
- * Process a single matter
+ * Process the documents of a single matter. Once shouldStop() is true no further document is started:
+ * the rest stay unseen and are processed by the next run.
  */
-async function processMatter(matter, lastProcessedState, todayDate) {
+async function processMatterDocuments(matter, lastProcessedState, todayDate, shouldStop = () => false) {
   const { applicationNumber, lawmaticsID, type } = matter;
   
   console.log(`\n🔹 Processing ${type} #${applicationNumber} (Lawmatics ID: ${lawmaticsID})...`);
 
-  let allDocs = [];
+  const parsed = parseApplicationNumber(applicationNumber, type);
+  if (!parsed.valid) {
+    console.error(`❌ ${parsed.error}`);
+    return {
+      processed: false,
+      reason: 'invalid_application_number',
+      fetchStatus: null,
+      docCount: 0,
+      applicationNumber,
+      type,
+      description: parsed.error
+    };
+  }
+
+  let fetchResult;
   if (type === "Patent") {
-    allDocs = await fetchAllPatentDocs(applicationNumber);
+    fetchResult = await fetchAllPatentDocs(applicationNumber);
   } else if (type === "Trademark") {
-    allDocs = await fetchAllTrademarkDocs(applicationNumber);
+    fetchResult = await fetchAllTrademarkDocs(applicationNumber);
   } else {
     console.error(`❌ Unknown type: ${type} for application ${applicationNumber}`);
     return { 
       processed: false, 
       reason: 'unknown_type', 
+      fetchStatus: null,
       docCount: 0,
       applicationNumber,
       type,
@@ -742,29 +928,49 @@ async function processMatter(matter, lastProcessedState, todayDate) {
     };
   }
 
-  if (allDocs.length === 0) {
-    console.log(`⏭️ Skipping ${type} #${applicationNumber} - no documents found`);
+  // Failed lookups are reported as such, never as "no documents"
+  if (fetchResult.status !== 'ok') {
+    const reason = reasonForFetch(fetchResult.status);
+    if (fetchResult.status === 'empty') {
+      console.log(`⏭️ Skipping ${type} #${applicationNumber} - no documents found`);
+    } else {
+      console.warn(`⚠️ Could not check ${type} #${applicationNumber} (${fetchResult.status}): ${fetchResult.error}`);
+    }
     return { 
       processed: false, 
-      reason: 'no_documents', 
+      reason,
+      fetchStatus: fetchResult.status,
       docCount: 0,
       applicationNumber,
       type,
-      description: 'No documents'
+      description: fetchResult.status === 'empty' ? 'No documents' : fetchResult.error
     };
   }
 
-  // Filter for new documents only
-  const lastProcessedDate = lastProcessedState[applicationNumber];
-  const newDocs = allDocs.filter(doc => 
-    isNewDocument(doc.date, lastProcessedDate, todayDate)
-  );
+  const allDocs = fetchResult.docs;
+
+  // Any document not seen before is new, including a second one dated the same day
+  const firstCheck = needsBaseline(lastProcessedState, applicationNumber);
+  const newDocs = selectNewDocuments(lastProcessedState, applicationNumber, allDocs, todayDate);
+
+  // Close deadlines answered by any document in the list, not just the new ones; on a first check the
+  // documents recorded as seen are docketed first
+  try {
+    if (firstCheck) {
+      await docketExistingDocuments(matter, allDocs.filter(doc => !newDocs.includes(doc)), allDocs, type);
+    } else {
+      await closeAnsweredDeadlines(matter, allDocs);
+    }
+  } catch (error) {
+    console.error(`❌ Error closing deadlines for ${applicationNumber}:`, error.message);
+  }
 
   if (newDocs.length === 0) {
     console.log(`⏭️ Skipping ${type} #${applicationNumber} - no new documents found`);
     return { 
       processed: false, 
       reason: 'not_new', 
+      fetchStatus: 'ok',
       docCount: 0,
       applicationNumber,
       type,
@@ -773,98 +979,269 @@ async function processMatter(matter, lastProcessedState, todayDate) {
     };
   }
 
-  // Only process documents from the LATEST date
   const latestDate = newDocs[0].date.toISOString().split('T')[0];
-  const latestDateDocs = newDocs.filter(doc => 
-    doc.date.toISOString().split('T')[0] === latestDate
-  );
-
-  console.log(`🆕 Found ${latestDateDocs.length} document(s) for LATEST date ${latestDate}`);
+  console.log(`🆕 Found ${newDocs.length} unseen document(s), latest dated ${latestDate}`);
 
-  let totalProcessed = 0;
+  // Only notified documents count as updates; archived and ignored ones (direction policy) are just marked seen
+  const notifiedDocs = [];
+  // Label of the first high-priority document, shown in the summary email
+  let flag = null;
   
-  // Process each document from the latest date
-  for (let i = 0; i < latestDateDocs.length; i++) {
-    const document = latestDateDocs[i];
+  // Process each unseen document
+  for (let i = 0; i < newDocs.length; i++) {
+    const document = newDocs[i];
+
+    // Past the invocation's budget, finishing this matter's backlog would outlast maxDuration
+    if (shouldStop()) {
+      console.log(`⏱️ ${type} #${applicationNumber}: budget spent, ${newDocs.length - i} document(s) left for the next run`);
+      break;
+    }
     
-    console.log(`\n   📋 Document ${i + 1}/${latestDateDocs.length} for ${latestDate}`);
+    console.log(`\n   📋 Document ${i + 1}/${newDocs.length} dated ${document.date.toISOString().split('T')[0]}`);
     
-    await processSingleDocument(matter, document, type);
-    totalProcessed++;
+    const { classification } = await processSingleDocument(matter, document, type);
+    if (classification.action === 'notify') notifiedDocs.push(document);
+    if (classification.action === 'notify' && classification.priority === 'high' && !flag) flag = classification.priorityLabel;
 
-    // Add delay between submissions for multi-document dates
-    if (latestDateDocs.length > 1 && i < latestDateDocs.length - 1) {
-      console.log(`⏳ Adding ${SUBMISSION_DELAY_MS/1000}s delay before next submission...`);
-      await new Promise(r => setTimeout(r, SUBMISSION_DELAY_MS));
-    }
+    // Recorded per document, so one that fails later in the loop is not marked as seen
+    markSeen(lastProcessedState, applicationNumber, document);
   }
 
-  // Update the last processed date
-  lastProcessedState[applicationNumber] = latestDate;
+  if (notifiedDocs.length === 0) {
+    console.log(`⏭️ ${type} #${applicationNumber} - ${newDocs.length} new document(s) archived or ignored by the direction policy`);
+    return {
+      processed: false,
+      reason: 'not_new',
+      fetchStatus: 'ok',
+      docCount: 0,
+      applicationNumber,
+      type,
+      description: 'No new documents to notify',
+      latestDocDate: latestDate
+    };
+  }
 
   return { 
-    processed: totalProcessed > 0, 
-    docCount: totalProcessed, 
+    processed: true, 
+    fetchStatus: 'ok',
+    docCount: notifiedDocs.length, 
     applicationNumber,
     type,
-    description: latestDateDocs[0]?.description || 'Unknown',
-    latestDocDate: latestDate,
-    multiDoc: latestDateDocs.length > 1
+    description: notifiedDocs[0].description || 'Unknown',
+    latestDocDate: notifiedDocs[0].date.toISOString().split('T')[0],
+    multiDoc: notifiedDocs.length > 1,
+    flag
   };
 }
 
 /**
- * Main function to process all matters
+ * Check one matter, then store its processed state and status; errors are reported as a failed check
  */
-async function processAllMatters() {
+async function checkMatter(matter, lastProcessedState, todayDate, shouldStop) {
+  let result;
   try {
-    const matters = await loadMatterMap();
-    const lastProcessedState = await loadLastProcessedState();
-    const todayDate = getTodayDateKey();
-    
-    if (matters.length === 0) {
-      console.log("❌ No matters found in map.json");
-      return { success: false, error: 'No matters found' };
+    result = await processMatter(matter, lastProcessedState, todayDate, { shouldStop });
+  } catch (error) {
+    // One broken matter must not take the rest of the run down with it
+    console.error(`❌ Error processing ${matter.type} #${matter.applicationNumber}:`, error.message);
+    result = {
+      processed: false,
+      reason: 'fetch_error',
+      fetchStatus: 'error',
+      docCount: 0,
+      applicationNumber: matter.applicationNumber,
+      type: matter.type,
+      description: error.message
+    };
+  }
+
+  // Saved right away, also after an error: the documents handled so far are never sent again, whatever
+  // happens to the rest of the shard or the invocation
+  try {
+    await saveLastProcessedState(lastProcessedState, [matter]);
+    await Matter.updateStatus(matter._id, matterStatusFor(result));
+  } catch (error) {
+    console.error(`❌ Error saving the check of ${matter.type} #${matter.applicationNumber}:`, error.message);
+  }
+  return result;
+}
+
+/**
+ * Updated and failed matters of a checked shard, as kept on the run for the summary email
+ */
+function summarizeShard(matters, results) {
+  const updated = [];
+  const failed = [];
+  let documents = 0;
+
+  matters.forEach((matter, index) => {
+    const result = results[index];
+
+    // Matters that could not be checked (outage, throttling, unknown number)
+    if (result.fetchStatus && !['ok', 'empty'].includes(result.fetchStatus)) {
+      failed.push({
+        ...result,
+        clientName: matter.clientName,
+        responsibleAttorney: matter.responsibleAttorney
+      });
+    }
+
+    if (result.processed) {
+      updated.push({
+        ...result,
+        clientName: matter.clientName,
+        responsibleAttorney: matter.responsibleAttorney,
+        docketNumber: matter.docketNumber
+      });
+      documents += result.docCount;
+    }
+  });
+
+  return { updated, failed, documents };
+}
+
+/**
+ * Main function to process all matters.
+ *
+ * A run walks the monitored matters in shards and keeps its cursor in MongoDB (models/MonitorRun.js),
+ * so an invocation cut short by the time budget is continued by the next one. The summary email is
+ * sent, and the run reported complete, only once every shard has been checked.
+ *
+ * options: { force } starts a new run even if the last one finished less than the sweep interval ago.
+ */
+async function processAllMatters({ force = false } = {}) {
+  try {
+    await connectDB();
+    const owner = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const claim = await MonitorRun.claim({
+      owner,
+      leaseMs: RUN_LEASE_MS,
+      intervalMs: force ? 0 : SWEEP_INTERVAL_MS,
+      shardSize: SHARD_SIZE
+    });
+
+    if (claim.busy) {
+      console.log('⏭️ Another invocation is working on the current run');
+      return { success: true, complete: false, busy: true };
+    }
+    if (claim.notDue) {
+      console.log(`⏭️ Last run is recent; the next one is due at ${claim.nextDueAt.toISOString()}`);
+      return { success: true, complete: false, notDue: true, nextDueAt: claim.nextDueAt.toISOString() };
     }
 
-    console.log(`\n🚀 Starting 6-Hour USPTO Monitoring Check`);
-    console.log(`📋 Found ${matters.length} matters to process`);
+    const { run } = claim;
+    const legacyState = await loadLegacyProcessedState();
+    const todayDate = getTodayDateKey();
+
+    if (claim.resumed) {
+      console.log(`\n🔁 Resuming run ${run._id} (invocation ${run.invocations}, ${run.mattersChecked} matters checked so far)`);
+    } else {
+      console.log(`\n🚀 Starting USPTO Monitoring Run ${run._id}`);
+    }
     console.log(`📅 Today's date: ${todayDate}`);
     console.log(`⏰ Check time: ${new Date().toLocaleTimeString()}`);
-    
-    let updatedMatters = [];
-    let totalDocumentsProcessed = 0;
-    
-    // Process each matter sequentially
-    for (const matter of matters) {
-      const result = await processMatter(matter, lastProcessedState, todayDate);
-      
-      if (result.processed) {
-        updatedMatters.push(result);
-        totalDocumentsProcessed += result.docCount;
+
+    // Check shards in parallel until they run out or the invocation's budget is spent
+    const startedAt = Date.now();
+    const outOfTime = () => Date.now() - startedAt > RUN_BUDGET_MS;
+    let cursor = run.cursor;
+    let complete = false;
+
+    while (!outOfTime()) {
+      const shard = await Matter.findMonitored({ after: cursor, limit: run.shardSize || SHARD_SIZE });
+      if (shard.length === 0) {
+        complete = true;
+        break;
       }
-      
-      // Add a small delay between processing matters
-      await new Promise(r => setTimeout(r, 2000));
+      console.log(`\n📦 Shard of ${shard.length} matters (${shard[0].applicationNumber} … ${shard[shard.length - 1].applicationNumber})`);
+
+      // Read with the shard, so what an earlier invocation recorded for these matters is seen
+      const lastProcessedState = stateFromMatters(shard, legacyState);
+      const { results, skipped } = await runPool(shard, matter => checkMatter(matter, lastProcessedState, todayDate, outOfTime), {
+        concurrency: MONITOR_CONCURRENCY,
+        shouldStop: outOfTime
+      });
+
+      // Matters are started in order, so the checked ones are the head of the shard
+      const checked = shard.slice(0, shard.length - skipped.length);
+      if (checked.length > 0) {
+        // Each matter saved its state when it was checked, so if the cursor update is lost the shard is
+        // checked again without duplicate notifications
+        cursor = checked[checked.length - 1]._id;
+        const { updated, failed, documents } = summarizeShard(checked, results);
+        const kept = await MonitorRun.recordShard(run._id, owner, {
+          cursor, checked: checked.length, documents, updated, failed, leaseMs: RUN_LEASE_MS
+        });
+        if (!kept) {
+          console.warn('⚠️ Lost the run to another invocation; stopping');
+          return { success: true, complete: false, busy: true };
+        }
+      }
+
+      if (skipped.length > 0) break;
     }
-    
-    // Save the updated state
-    await saveLastProcessedState(lastProcessedState);
-    
-    // Send summary email
-    await sendSummaryEmail(updatedMatters, matters.length, totalDocumentsProcessed);
-    
-    console.log(`\n📊 6-HOUR CHECK SUMMARY:`);
-    console.log(`   Total matters: ${matters.length}`);
+
+    if (!complete) {
+      await MonitorRun.release(run._id, owner);
+      const progress = await MonitorRun.findById(run._id).lean();
+      console.log(`⏱️ Budget of ${RUN_BUDGET_MS / 1000}s spent after ${progress.mattersChecked} matters; the next invocation continues the run`);
+      return {
+        success: true,
+        complete: false,
+        runId: String(run._id),
+        mattersChecked: progress.mattersChecked,
+        shardsCompleted: progress.shardsCompleted,
+        invocations: progress.invocations,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const finished = await MonitorRun.findById(run._id).lean();
+    const { updatedMatters, failedMatters, mattersChecked, documentsProcessed } = finished;
+
+    if (mattersChecked === 0) {
+      await MonitorRun.complete(run._id, owner);
+      console.log("❌ No matters found in the database");
+      return { success: false, error: 'No matters found' };
+    }
+
+    // A run is degraded when the USPTO could not be asked about some matters
+    const degraded = failedMatters.some(result => isDegraded(result.fetchStatus));
+
+    // Unanswered deadlines coming due (or already in the extension period)
+    let escalatedDeadlines = [];
+    try {
+      escalatedDeadlines = await findEscalatedDeadlines();
+    } catch (error) {
+      console.error('❌ Error loading deadlines:', error.message);
+    }
+
+    // Sent before the run is closed, so a failed email is retried by the next invocation
+    await sendSummaryEmail(updatedMatters, mattersChecked, documentsProcessed, failedMatters, escalatedDeadlines);
+    await MonitorRun.complete(run._id, owner);
+
+    console.log(`\n📊 MONITORING RUN SUMMARY${degraded ? ' (DEGRADED)' : ''}:`);
+    console.log(`   Total matters: ${mattersChecked}`);
     console.log(`   Matters with updates: ${updatedMatters.length}`);
-    console.log(`   Total documents processed: ${totalDocumentsProcessed}`);
+    console.log(`   Matters not checked: ${failedMatters.length}`);
+    console.log(`   Shards: ${finished.shardsCompleted} over ${finished.invocations} invocation(s), concurrency ${MONITOR_CONCURRENCY}`);
+    console.log(`   Total documents processed: ${documentsProcessed}`);
+    console.log(`   Deadlines needing attention: ${escalatedDeadlines.length}`);
     console.log(`   Multi-document dates: ${updatedMatters.filter(m => m.multiDoc).length}`);
     
     return {
       success: true,
-      totalMatters: matters.length,
+      complete: true,
+      degraded,
+      runId: String(run._id),
+      totalMatters: mattersChecked,
       updatedMatters: updatedMatters.length,
-      totalDocuments: totalDocumentsProcessed,
+      failedMatters: failedMatters.length,
+      fetchStatus: countByFetchStatus(failedMatters),
+      totalDocuments: documentsProcessed,
+      deadlinesNeedingAttention: escalatedDeadlines.length,
+      shardsCompleted: finished.shardsCompleted,
+      invocations: finished.invocations,
       timestamp: new Date().toISOString()
     };
     
@@ -885,34 +1262,49 @@ async function generateLatestDatesCSV() {
   try {
     console.log('📊 Generating latest dates CSV report...');
     
-    const matters = await loadMatterMap();
-    const lastProcessedState = await loadLastProcessedState();
+    const matters = await loadMatterMap({ includeInactive: true });
+    const lastProcessedState = await loadLastProcessedState(matters);
     
     if (matters.length === 0) {
-      console.log('❌ No matters found in map.json');
+      console.log('❌ No matters found in the database');
       return null;
     }
 
     // CSV headers
-    const csvHeaders = ['Lawmatics ID', 'Application Number', 'Type', 'Latest Document Date', 'Last Processed Date', 'Description', 'Status'];
+    const csvHeaders = ['Lawmatics ID', 'Application Number', 'Type', 'Monitoring', 'Latest Document Date', 'Last Processed Date', 'Description', 'Status'];
     const csvRows = [csvHeaders];
 
     // Process each matter to get latest document info
     for (const matter of matters) {
       const { applicationNumber, lawmaticsID, type } = matter;
+      const lastProcessedDate = getLastProcessedDate(lastProcessedState, applicationNumber) || 'Never';
+
+      // Paused and archived matters are listed but not fetched from the USPTO
+      if (!isMonitored(matter)) {
+        const monitoring = matter.monitoringState === 'archived'
+          ? `archived (${matter.archiveReason})`
+          : `paused${matter.pausedUntil ? ` until ${matter.pausedUntil.toISOString().split('T')[0]}` : ''}`;
+        csvRows.push([lawmaticsID, applicationNumber, type, monitoring, 'Not checked', lastProcessedDate, 'N/A', 'Not monitored']);
+        continue;
+      }
       
       console.log(`🔍 Checking ${type} #${applicationNumber} for CSV report...`);
 
-      let latestDoc = null;
+      let fetchResult = null;
       if (type === "Patent") {
-        const docs = await fetchAllPatentDocs(applicationNumber);
-        latestDoc = docs.length > 0 ? docs[0] : null;
+        fetchResult = await fetchAllPatentDocs(applicationNumber);
       } else if (type === "Trademark") {
-        const docs = await fetchAllTrademarkDocs(applicationNumber);
-        latestDoc = docs.length > 0 ? docs[0] : null;
+        fetchResult = await fetchAllTrademarkDocs(applicationNumber);
+      }
+
+      // A failed lookup must not read as "No documents" / "Update available"
+      if (fetchResult && !['ok', 'empty'].includes(fetchResult.status)) {
+        csvRows.push([lawmaticsID, applicationNumber, type, 'active', 'Not checked', lastProcessedDate, fetchResult.error, FETCH_STATUS_LABELS[fetchResult.status]]);
+        await new Promise(r => setTimeout(r, 1000));
+        continue;
       }
 
-      const lastProcessedDate = lastProcessedState[applicationNumber] || 'Never';
+      const latestDoc = fetchResult?.docs[0] || null;
       const latestDocDate = latestDoc ? latestDoc.date.toISOString().split('T')[0] : 'No documents';
       const description = latestDoc ? latestDoc.description : 'N/A';
       const status = lastProcessedDate === latestDocDate ? 'Up to date' : 'Update available';
@@ -921,6 +1313,7 @@ async function generateLatestDatesCSV() {
         lawmaticsID,
         applicationNumber,
         type,
+        'active',
         latestDocDate,
         lastProcessedDate,
         description,
@@ -1010,12 +1403,12 @@ async function generateAndEmailCSVReport() {
 // ========================
 
 /**
- * Run the monitoring job
+ * Run the monitoring job: start a run or continue the one in progress (options as processAllMatters)
  */
-const runJob = async () => {
-  console.log('⏰ Running 6-hour monitoring job at', new Date().toISOString());
-  const result = await processAllMatters();
-  console.log('✅ 6-hour job completed at', new Date().toISOString());
+const runJob = async (options = {}) => {
+  console.log('⏰ Running monitoring job at', new Date().toISOString());
+  const result = await processAllMatters(options);
+  console.log(result?.complete ? '✅ Monitoring run completed at' : '⏸️ Monitoring job invocation finished at', new Date().toISOString());
   return result;
 };
 
@@ -1049,6 +1442,5 @@ module.exports = {
   loadMatterMap,
   loadLastProcessedState,
   saveLastProcessedState,
-  getTodayDateKey,
-  isNewDocument
+  getTodayDateKey
 };
\ No newline at end of file
@@ -0,0 +1,263 @@
+// lib/usptoClient.js
+// Single entry point for USPTO API calls (TSDR for trademarks, Open Data Portal for patents).
+//
+// Every request waits for a token from its host's bucket (TSDR and the Open Data Portal have separate
+// quotas, so parallel workers can use both at once), and transient failures
+// (429, 5xx, timeouts, dropped connections) are retried with exponential backoff,
+// honoring Retry-After when the USPTO sends it.
+const axios = require('axios');
+
+const TSDR_BASE_URL = 'https://tsdrapi.uspto.gov/ts/cd';
+const ODP_BASE_URL = 'https://api.uspto.gov/api/v1/patent';
+
+// Keys come only from the environment; the server and the monitors refuse to start without them
+const TRADEMARK_API_KEY = process.env.USPTO_API_KEY;
+const PATENT_API_KEY = process.env.Patent_USPTO_API_KEY || process.env.USPTO_API_KEY;
+const REQUIRED_ENV_VARS = ['USPTO_API_KEY'];
+
+const USER_AGENT = 'Lawmatics-Automation/1.0';
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RETRIES = parseInt(process.env.USPTO_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.USPTO_MAX_RETRIES, 10) : 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// Requests per minute per host across the whole process, with short bursts allowed
+const RATE_PER_MINUTE = parseInt(process.env.USPTO_RATE_LIMIT_PER_MINUTE, 10) || 60;
+const BURST = parseInt(process.env.USPTO_RATE_LIMIT_BURST, 10) || 5;
+// Per-host overrides of RATE_PER_MINUTE
+const HOST_RATE_PER_MINUTE = {
+  [new URL(TSDR_BASE_URL).hostname]: parseInt(process.env.TSDR_RATE_LIMIT_PER_MINUTE, 10) || RATE_PER_MINUTE,
+  [new URL(ODP_BASE_URL).hostname]: parseInt(process.env.ODP_RATE_LIMIT_PER_MINUTE, 10) || RATE_PER_MINUTE
+};
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ========================
+// 🪣 TOKEN BUCKETS
+// ========================
+
+// One bucket per host
+const buckets = new Map();
+
+function bucketFor(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    host = 'unknown';
+  }
+  if (!buckets.has(host)) {
+    buckets.set(host, {
+      host,
+      ratePerMinute: HOST_RATE_PER_MINUTE[host] || RATE_PER_MINUTE,
+      tokens: BURST,
+      refilledAt: Date.now(),
+      // Set from Retry-After so every caller backs off, not just the one that was throttled
+      blockedUntil: 0,
+      // Callers queue up here so tokens are handed out in request order
+      queue: Promise.resolve()
+    });
+  }
+  return buckets.get(host);
+}
+
+function refill(bucket) {
+  const now = Date.now();
+  const perMs = bucket.ratePerMinute / 60000;
+  bucket.tokens = Math.min(BURST, bucket.tokens + (now - bucket.refilledAt) * perMs);
+  bucket.refilledAt = now;
+}
+
+/**
+ * Wait until a request to the bucket's host may be sent
+ */
+function takeToken(bucket) {
+  const turn = bucket.queue.then(async () => {
+    for (;;) {
+      const blockedFor = bucket.blockedUntil - Date.now();
+      if (blockedFor > 0) {
+        await sleep(blockedFor);
+        continue;
+      }
+      refill(bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - bucket.tokens) / (bucket.ratePerMinute / 60000)));
+    }
+  });
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+// ========================
+// 🔁 RETRIES
+// ========================
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), or null
+ */
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt) {
+  const exponential = BASE_DELAY_MS * 2 ** attempt;
+  // Jitter keeps parallel callers from retrying in lockstep
+  return Math.min(MAX_DELAY_MS, exponential + Math.floor(Math.random() * BASE_DELAY_MS));
+}
+
+/**
+ * Send a request with rate limiting and retries.
+ *
+ * config is passed to axios; options: { retries, label } (label is used in log lines).
+ * Resolves with the axios response. After the last attempt the axios error is rethrown
+ * with `attempts` and `retryable` set, so callers can tell throttling or outages from a 404.
+ */
+async function request(config, { retries = MAX_RETRIES, label = config.url } = {}) {
+  const bucket = bucketFor(config.url);
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(bucket);
+    try {
+      return await axios.request({
+        timeout: DEFAULT_TIMEOUT_MS,
+        ...config,
+        headers: { 'User-Agent': USER_AGENT, ...config.headers }
+      });
+    } catch (error) {
+      error.attempts = attempt + 1;
+      error.retryable = isRetryable(error);
+
+      // A Retry-After beyond our longest wait means the quota is gone for now; fail fast
+      const requestedDelay = retryAfterMs(error);
+      if (!error.retryable || attempt >= retries || (requestedDelay !== null && requestedDelay > MAX_DELAY_MS)) {
+        throw error;
+      }
+
+      if (requestedDelay !== null) {
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + requestedDelay);
+      }
+
+      const delay = requestedDelay !== null ? requestedDelay : backoffMs(attempt);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      console.warn(`⏳ USPTO ${label}: ${reason}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ========================
+// 📄 USPTO ENDPOINTS
+// ========================
+
+/**
+ * TSDR document bundle XML for a trademark serial number (or registration number with caseParam 'rn')
+ */
+async function getTrademarkDocumentsXml(number, { caseParam = 'sn' } = {}) {
+  const { data } = await request({
+    method: 'get',
+    url: `${TSDR_BASE_URL}/casedocs/bundle.xml`,
+    params: { [caseParam]: number },
+    headers: { 'USPTO-API-KEY': TRADEMARK_API_KEY, Accept: 'application/xml' },
+    responseType: 'text'
+  }, { label: `trademark ${caseParam}=${number}` });
+  return data;
+}
+
+/**
+ * TSDR case status XML (status, registration, owner) for a trademark serial or registration number
+ */
+async function getTrademarkStatusXml(number, { caseParam = 'sn' } = {}) {
+  const { data } = await request({
+    method: 'get',
+    url: `${TSDR_BASE_URL}/casestatus/${caseParam}${number}/info.xml`,
+    headers: { 'USPTO-API-KEY': TRADEMARK_API_KEY, Accept: 'application/xml' },
+    responseType: 'text'
+  }, { label: `trademark status ${caseParam}${number}` });
+  return data;
+}
+
+/**
+ * Open Data Portal document list (JSON) for a patent application
+ */
+async function getPatentDocuments(applicationNumber) {
+  const { data } = await request({
+    method: 'get',
+    url: `${ODP_BASE_URL}/applications/${encodeURIComponent(applicationNumber)}/documents`,
+    headers: { 'X-API-KEY': PATENT_API_KEY, Accept: 'application/json' }
+  }, { label: `patent ${applicationNumber}` });
+  return data;
+}
+
+/**
+ * Open Data Portal application metadata (status, examiner, art unit, publication, grant)
+ */
+async function getPatentMetadata(applicationNumber) {
+  const { data } = await request({
+    method: 'get',
+    url: `${ODP_BASE_URL}/applications/${encodeURIComponent(applicationNumber)}/meta-data`,
+    headers: { 'X-API-KEY': PATENT_API_KEY, Accept: 'application/json' }
+  }, { label: `patent metadata ${applicationNumber}` });
+  return data;
+}
+
+/**
+ * Open Data Portal continuity data: parent applications claimed (parentContinuityBag) and
+ * applications claiming this one (childContinuityBag)
+ */
+async function getPatentContinuity(applicationNumber) {
+  const { data } = await request({
+    method: 'get',
+    url: `${ODP_BASE_URL}/applications/${encodeURIComponent(applicationNumber)}/continuity`,
+    headers: { 'X-API-KEY': PATENT_API_KEY, Accept: 'application/json' }
+  }, { label: `patent continuity ${applicationNumber}` });
+  return data;
+}
+
+/**
+ * Open Data Portal foreign priority claims (foreignPriorityBag) of an application
+ */
+async function getPatentForeignPriority(applicationNumber) {
+  const { data } = await request({
+    method: 'get',
+    url: `${ODP_BASE_URL}/applications/${encodeURIComponent(applicationNumber)}/foreign-priority`,
+    headers: { 'X-API-KEY': PATENT_API_KEY, Accept: 'application/json' }
+  }, { label: `patent foreign priority ${applicationNumber}` });
+  return data;
+}
+
+/**
+ * Download a document file with the API key of the system it comes from (ODP for patents, TSDR for trademarks).
+ * options: { type: 'Patent' | 'Trademark', responseType = 'arraybuffer', timeout = 30000 }
+ */
+function downloadDocument(url, { type, responseType = 'arraybuffer', timeout = 30000 } = {}) {
+  const headers = type === 'Patent' ? { 'X-API-KEY': PATENT_API_KEY } : { 'USPTO-API-KEY': TRADEMARK_API_KEY };
+  return request({ method: 'get', url, responseType, timeout, headers }, { label: `download ${url}` });
+}
+
+module.exports = {
+  REQUIRED_ENV_VARS,
+  request,
+  getTrademarkDocumentsXml,
+  getTrademarkStatusXml,
+  getPatentDocuments,
+  getPatentMetadata,
+  getPatentContinuity,
+  getPatentForeignPriority,
+  downloadDocument,
+  isRetryable
+};
@@ -0,0 +1,106 @@
+// lib/workerPool.js
+// Bounded concurrency for the monitors.
+//
+// runPool checks many matters with at most N in flight; USPTO requests from the workers are still paced
+// by the per-host token buckets in lib/usptoClient.js. createLane serializes side effects that must not
+// overlap, such as Lawmatics writes and form submissions, while the workers keep fetching.
+const DEFAULT_CONCURRENCY = 6;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Concurrency from an environment value, falling back to the default for anything but a positive integer
+ */
+function parseConcurrency(value, fallback = DEFAULT_CONCURRENCY) {
+  const parsed = parseInt(value, 10);
+  return parsed >= 1 ? parsed : fallback;
+}
+
+/**
+ * Limit the number of tasks running at once. Returns limit(task), which runs the async task
+ * when a slot is free and resolves or rejects with its result.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Single-file queue: tasks run one at a time in call order, at least spacingMs apart
+ */
+function createLane({ spacingMs = 0 } = {}) {
+  const limit = createLimiter(1);
+  let lastFinishedAt = 0;
+
+  return task => limit(async () => {
+    const wait = lastFinishedAt + spacingMs - Date.now();
+    if (lastFinishedAt > 0 && wait > 0) await sleep(wait);
+    try {
+      return await task();
+    } finally {
+      lastFinishedAt = Date.now();
+    }
+  });
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ *
+ * options: { concurrency, shouldStop } — shouldStop() is asked before each item is started; once it
+ * returns true no new items start and the ones in flight are allowed to finish.
+ * Resolves with { results, skipped }: results[i] is the worker's result for items[i] (undefined when
+ * skipped), skipped lists the items never started. A worker that throws rejects the pool after the
+ * items in flight have settled.
+ */
+async function runPool(items, worker, { concurrency = DEFAULT_CONCURRENCY, shouldStop = () => false } = {}) {
+  const results = new Array(items.length);
+  const skipped = [];
+  let cursor = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (cursor < items.length && !failure) {
+      if (shouldStop()) {
+        skipped.push(...items.slice(cursor));
+        cursor = items.length;
+        return;
+      }
+      const index = cursor++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  if (failure) throw failure;
+  return { results, skipped };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  parseConcurrency,
+  createLimiter,
+  createLane,
+  runPool
+};
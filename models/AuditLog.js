@@ -0,0 +1,50 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now, index: true },
+  // Verified identity: "anonymous" for API requests (no login), the system actor for scheduled and CLI runs
+  actor: { type: String, required: true, trim: true, index: true },
+  // Identity the caller asserted (X-User-Email header); informational only, anyone can send it
+  claimedActor: { type: String, trim: true, default: null, index: true },
+  action: { type: String, required: true, index: true },
+  matterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Matter', default: null, index: true },
+  applicationNumber: { type: String, default: null, index: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Where the action came from: an HTTP request or a command-line/system process
+  source: {
+    method: String,
+    path: String,
+    ip: String
+  }
+}, {
+  collection: 'auditlogs',
+  minimize: false,
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+// The audit log is append-only: entries can be created and read, never changed or removed
+function rejectChange(next) {
+  next(new Error('Audit log entries are append-only'));
+}
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+const AuditLog = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
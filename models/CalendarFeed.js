@@ -0,0 +1,70 @@
+// models/CalendarFeed.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../lib/matterQuery');
+
+// Feed URLs are the only credential a calendar app can send, so only a hash of the token is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const calendarFeedSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Optional scope; an empty scope publishes every matter
+  responsibleAttorney: { type: String, trim: true, default: null },
+  clientName: { type: String, trim: true, default: null },
+  tag: { type: String, trim: true, lowercase: true, default: null },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastAccessedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+}, {
+  collection: 'calendarfeeds',
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Create a feed and return { feed, token }; the token is not stored and cannot be shown again
+ */
+calendarFeedSchema.statics.createWithToken = async function (fields) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const feed = await this.create({ ...fields, tokenHash: hashToken(token) });
+  return { feed, token };
+};
+
+/**
+ * Active feed for a token, or null
+ */
+calendarFeedSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token), revokedAt: null });
+};
+
+// Names are matched whatever their case, as typed by whoever created the feed
+function sameName(value) {
+  return { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+}
+
+/**
+ * MongoDB filter for the matters in the feed's scope (archived ones included: they keep maintenance dates)
+ */
+calendarFeedSchema.methods.matterFilter = function () {
+  const filter = { deletedAt: null };
+  if (this.responsibleAttorney) filter.responsibleAttorney = sameName(this.responsibleAttorney);
+  if (this.clientName) filter.clientName = sameName(this.clientName);
+  if (this.tag) filter.tags = this.tag;
+  return filter;
+};
+
+const CalendarFeed = mongoose.models.CalendarFeed || mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
+module.exports.hashToken = hashToken;
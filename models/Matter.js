@@ -0,0 +1,312 @@
+// models/Matter.js
+const mongoose = require('mongoose');
+
+const MATTER_TYPES = ['Patent', 'Trademark'];
+const MONITORING_STATES = ['active', 'paused', 'archived'];
+const ARCHIVE_REASONS = ['registered', 'abandoned', 'issued'];
+const BACKFILL_STATES = ['running', 'completed', 'failed'];
+// A deadline is satisfied once the applicant's response shows up in the document list
+const DEADLINE_STATES = ['open', 'satisfied'];
+// A backfill still "running" after this long was interrupted and may be started again
+const BACKFILL_STALE_MS = 6 * 60 * 60 * 1000;
+// Document directions (ODP directionCategory; inferred for trademarks) and what the monitor does with each
+const DOCUMENT_DIRECTIONS = ['INCOMING', 'OUTGOING', 'INTERNAL', 'UNKNOWN'];
+const DIRECTION_ACTIONS = ['notify', 'archive', 'ignore'];
+// Fields editable through PATCH /api/matters/:id
+const METADATA_FIELDS = ['clientName', 'responsibleAttorney', 'paralegal', 'docketNumber', 'tags', 'directionPolicy',
+  'priorityDate'];
+
+// Tags are stored trimmed, lower-cased and de-duplicated so filters match predictably
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+const trademarkStatusSchema = new mongoose.Schema({
+  statusCode: String,
+  statusDescription: String,
+  statusDate: Date,
+  registrationNumber: String,
+  registrationDate: Date,
+  owner: String,
+  checkedAt: Date
+}, { _id: false });
+
+const patentStatusSchema = new mongoose.Schema({
+  statusCode: String,
+  statusDescription: String,
+  statusDate: Date,
+  examiner: String,
+  artUnit: String,
+  publicationNumber: String,
+  patentNumber: String,
+  grantDate: Date,
+  filingDate: Date,
+  // Earliest of the filing date and claimed priorities
+  priorityDate: Date,
+  // Applications claiming this one (national stage entries, conversions of a provisional)
+  childApplications: {
+    type: [{ _id: false, applicationNumber: String, filingDate: Date, claimType: String }],
+    default: undefined
+  },
+  checkedAt: Date
+}, { _id: false });
+
+// Per-matter overrides of the firm's direction policy (config/document-rules.json)
+const directionPolicySchema = new mongoose.Schema(
+  Object.fromEntries(DOCUMENT_DIRECTIONS.map(direction => [direction, { type: String, enum: DIRECTION_ACTIONS }])),
+  { _id: false }
+);
+
+const deadlineExtensionSchema = new mongoose.Schema({
+  number: Number,
+  dueDate: Date,
+  effectiveDate: Date
+}, { _id: false });
+
+// Response deadline computed from a USPTO action (lib/deadlines.js); effective dates skip weekends and holidays
+const deadlineSchema = new mongoose.Schema({
+  ruleId: String,
+  label: String,
+  // Identity of the triggering document, so it never produces two deadlines
+  sourceId: String,
+  sourceDocument: {
+    description: String,
+    documentCode: String,
+    date: Date,
+    link: String
+  },
+  triggerDate: Date,
+  responseDue: Date,
+  responseDueEffective: Date,
+  extensions: { type: [deadlineExtensionSchema], default: [] },
+  // Extension windows requested so far; responseDue then moves to the end of the last one
+  extensionsFiled: Number,
+  responseDueOriginal: Date,
+  finalDeadline: Date,
+  finalDeadlineEffective: Date,
+  status: { type: String, enum: DEADLINE_STATES, default: 'open' },
+  satisfiedBy: {
+    description: String,
+    documentCode: String,
+    date: Date,
+    // Closed by hand with PATCH /api/matters/:id/deadlines/:deadlineId (the audit log has who and when)
+    manual: Boolean
+  },
+  closedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Post-grant / post-registration filing window (lib/maintenance.js)
+const maintenanceSchema = new mongoose.Schema({
+  kind: String,
+  label: String,
+  basisEvent: { type: String, enum: ['grant', 'registration'] },
+  basisDate: Date,
+  windowOpens: Date,
+  due: Date,
+  dueEffective: Date,
+  graceEnds: Date,
+  graceEndsEffective: Date
+}, { _id: false });
+
+const backfillSchema = new mongoose.Schema({
+  state: { type: String, enum: BACKFILL_STATES },
+  startedAt: Date,
+  completedAt: Date,
+  total: Number,
+  archived: Number,
+  failed: Number,
+  alreadySeen: Number,
+  error: String
+}, { _id: false });
+
+// Documents the monitors and backfills have already processed, one entry of lib/processedState.js per matter
+const processedStateSchema = new mongoose.Schema({
+  lastProcessedDate: String,
+  seen: [String],
+  baseline: Boolean,
+  // Last save by a check or backfill; the server monitor checks the matters it has not seen longest first
+  checkedAt: Date,
+  // Documents whose backfill download failed, retried by the next backfill
+  backfillFailed: { type: [String], default: undefined }
+}, { _id: false });
+
+const matterSchema = new mongoose.Schema({
+  applicationNumber: { type: String, required: true, trim: true, unique: true },
+  lawmaticsID: { type: String, required: true, trim: true, index: true },
+  type: { type: String, required: true, enum: MATTER_TYPES },
+  status: { type: String, default: 'Pending Automation' },
+
+  // Firm metadata
+  clientName: { type: String, trim: true, default: null, index: true },
+  responsibleAttorney: { type: String, trim: true, default: null, index: true },
+  paralegal: { type: String, trim: true, default: null },
+  docketNumber: { type: String, trim: true, default: null },
+  tags: { type: [String], default: [], set: normalizeTags, index: true },
+  // e.g. { "INCOMING": "notify" } to be alerted about this matter's own filings too
+  directionPolicy: { type: directionPolicySchema, default: null },
+  // Priority date entered by hand, for PCT and provisional filings the Open Data Portal has no dates for;
+  // takes precedence over patentStatus.priorityDate / filingDate
+  priorityDate: { type: Date, default: null },
+
+  // Lifecycle: only active matters (and paused ones past their resume date) are monitored
+  monitoringState: { type: String, enum: MONITORING_STATES, default: 'active' },
+  pausedUntil: { type: Date, default: null },
+  archiveReason: { type: String, enum: [...ARCHIVE_REASONS, null], default: null },
+  archivedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+
+  // Latest TSDR case status (trademarks only); changes are notified like new documents
+  trademarkStatus: { type: trademarkStatusSchema, default: null },
+  // Latest Open Data Portal metadata (patents only); status changes are notified the same way
+  patentStatus: { type: patentStatusSchema, default: null },
+
+  // Most recent document uploaded to Google Drive by the monitors
+  lastDriveLink: { type: String, default: null },
+  lastDriveLinkAt: { type: Date, default: null },
+
+  // Docketed response deadlines, oldest first
+  deadlines: { type: [deadlineSchema], default: [] },
+  // Maintenance fees (patents) or Section 8/9 filings (trademarks), derived from the grant or registration date
+  maintenance: { type: [maintenanceSchema], default: [] },
+
+  // Last archive of the full document history (POST /api/automation/backfill)
+  backfill: { type: backfillSchema, default: null },
+  // Left unset until the first check, so the first update can create it. Only the monitors and the export
+  // ask for it (select: '+processedState'); the seen list is long and of no use to API clients
+  processedState: { type: processedStateSchema, default: undefined, select: false },
+
+  createdAt: { type: Date, default: Date.now },
+  lastUpdated: { type: Date, default: Date.now }
+}, {
+  collection: 'matters',
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      delete ret._id;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Set the automation status of a single matter by its ID.
+ * Returns the matter as it was before the update, or null if none matched.
+ */
+matterSchema.statics.updateStatus = function (matterId, status) {
+  return this.findByIdAndUpdate(
+    matterId,
+    { $set: { status, lastUpdated: new Date() } },
+    { new: false }
+  ).lean();
+};
+
+/**
+ * Remember the Drive link of the latest document uploaded for a matter
+ */
+matterSchema.statics.recordDriveLink = function (matterId, driveLink) {
+  return this.updateOne(
+    { _id: matterId },
+    { $set: { lastDriveLink: driveLink, lastDriveLinkAt: new Date() } }
+  );
+};
+
+/**
+ * Merge processed-state entries ([{ matterId, entry }], see lib/processedState.js) into the matters in one
+ * round trip. Seen documents are added to the stored ones and lastProcessedDate only moves forward, so
+ * documents recorded by another invocation in the meantime are kept. The baseline flag and the backfill
+ * retries are set as the entry has them.
+ */
+matterSchema.statics.recordProcessedState = function (entries) {
+  const checkedAt = new Date();
+  const operations = entries.map(({ matterId, entry }) => {
+    const update = {
+      $addToSet: { 'processedState.seen': { $each: entry.seen } },
+      $set: { 'processedState.checkedAt': checkedAt },
+      $unset: {}
+    };
+    if (entry.lastProcessedDate) {
+      update.$max = { 'processedState.lastProcessedDate': entry.lastProcessedDate };
+    }
+    if (entry.baseline) {
+      update.$set['processedState.baseline'] = true;
+    } else {
+      update.$unset['processedState.baseline'] = '';
+    }
+    if (entry.backfillFailed && entry.backfillFailed.length > 0) {
+      update.$set['processedState.backfillFailed'] = entry.backfillFailed;
+    } else {
+      update.$unset['processedState.backfillFailed'] = '';
+    }
+    return { updateOne: { filter: { _id: matterId }, update } };
+  });
+  return operations.length > 0 ? this.bulkWrite(operations, { ordered: false }) : null;
+};
+
+/**
+ * Mark a backfill as running unless one already is. Returns the matter, or null when it is busy.
+ */
+matterSchema.statics.claimBackfill = function (matterId) {
+  return this.findOneAndUpdate(
+    {
+      _id: matterId,
+      $or: [
+        { 'backfill.state': { $ne: 'running' } },
+        { 'backfill.startedAt': { $lt: new Date(Date.now() - BACKFILL_STALE_MS) } }
+      ]
+    },
+    { $set: { backfill: { state: 'running', startedAt: new Date() } } },
+    { new: true }
+  ).lean();
+};
+
+// Matters imported before lifecycle states existed have no monitoringState and count as active
+const MONITORED_FILTER = { deletedAt: null, monitoringState: { $in: ['active', null] } };
+
+/**
+ * Whether a matter (document or plain object) should currently be monitored
+ */
+function isMonitored(matter, now = new Date()) {
+  if (!matter || matter.deletedAt) return false;
+  const state = matter.monitoringState || 'active';
+  if (state === 'active') return true;
+  return state === 'paused' && !!matter.pausedUntil && new Date(matter.pausedUntil) <= now;
+}
+
+/**
+ * Reactivate paused matters whose resume date has passed
+ */
+matterSchema.statics.resumeDuePauses = function (now = new Date()) {
+  return this.updateMany(
+    { deletedAt: null, monitoringState: 'paused', pausedUntil: { $ne: null, $lte: now } },
+    { $set: { monitoringState: 'active', pausedUntil: null, lastUpdated: now } }
+  );
+};
+
+/**
+ * All matters the monitors should check, in registry order.
+ * options: { after (matter _id), limit } to read one shard of a resumable run
+ */
+matterSchema.statics.findMonitored = async function ({ after = null, limit = 0 } = {}) {
+  const { modifiedCount } = await this.resumeDuePauses();
+  if (modifiedCount > 0) {
+    console.log(`▶️ Resumed ${modifiedCount} paused matters`);
+  }
+  const filter = after ? { ...MONITORED_FILTER, _id: { $gt: after } } : MONITORED_FILTER;
+  return this.find(filter).select('+processedState').sort({ _id: 1 }).limit(limit).lean();
+};
+
+const Matter = mongoose.models.Matter || mongoose.model('Matter', matterSchema);
+
+module.exports = Matter;
+module.exports.MATTER_TYPES = MATTER_TYPES;
+module.exports.MONITORING_STATES = MONITORING_STATES;
+module.exports.ARCHIVE_REASONS = ARCHIVE_REASONS;
+module.exports.METADATA_FIELDS = METADATA_FIELDS;
+module.exports.DOCUMENT_DIRECTIONS = DOCUMENT_DIRECTIONS;
+module.exports.DIRECTION_ACTIONS = DIRECTION_ACTIONS;
+module.exports.DEADLINE_STATES = DEADLINE_STATES;
+module.exports.normalizeTags = normalizeTags;
+module.exports.isMonitored = isMonitored;
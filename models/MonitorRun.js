@@ -0,0 +1,104 @@
+// models/MonitorRun.js
+const mongoose = require('mongoose');
+
+const RUN_STATES = ['running', 'completed'];
+
+// One check of every monitored matter, possibly spread over several serverless invocations.
+// Matters are walked in _id order in shards; `cursor` is the last matter checked, so the next
+// invocation continues right after it.
+const monitorRunSchema = new mongoose.Schema({
+  state: { type: String, enum: RUN_STATES, default: 'running', index: true },
+  startedAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  cursor: { type: mongoose.Schema.Types.ObjectId, default: null },
+  shardSize: Number,
+  invocations: { type: Number, default: 1 },
+  shardsCompleted: { type: Number, default: 0 },
+  mattersChecked: { type: Number, default: 0 },
+  documentsProcessed: { type: Number, default: 0 },
+  // Per-matter results kept for the summary email sent when the run completes
+  updatedMatters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  failedMatters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // The invocation working on the run; others leave it alone until the lease expires
+  leaseOwner: { type: String, default: null },
+  leaseUntil: { type: Date, default: null }
+}, {
+  collection: 'monitorruns',
+  minimize: false
+});
+
+// At most one run in progress
+monitorRunSchema.index({ state: 1 }, { unique: true, partialFilterExpression: { state: 'running' } });
+
+/**
+ * Take over the run in progress, or start a new one when the last run finished at least intervalMs ago.
+ *
+ * Returns { run, resumed } on success, { busy: true } when another invocation holds the lease, or
+ * { notDue: true, nextDueAt } when the last run is too recent.
+ */
+monitorRunSchema.statics.claim = async function ({ owner, leaseMs, intervalMs = 0, shardSize }) {
+  const now = new Date();
+  const lease = { leaseOwner: owner, leaseUntil: new Date(now.getTime() + leaseMs) };
+
+  const resumed = await this.findOneAndUpdate(
+    { state: 'running', $or: [{ leaseUntil: null }, { leaseUntil: { $lt: now } }] },
+    { $set: lease, $inc: { invocations: 1 } },
+    { new: true }
+  ).lean();
+  if (resumed) return { run: resumed, resumed: true };
+
+  if (await this.exists({ state: 'running' })) return { busy: true };
+
+  const last = await this.findOne({ state: 'completed' }).sort({ startedAt: -1 }).lean();
+  if (last && intervalMs > 0 && now - last.startedAt < intervalMs) {
+    return { notDue: true, nextDueAt: new Date(last.startedAt.getTime() + intervalMs) };
+  }
+
+  try {
+    const run = await this.create({ ...lease, shardSize });
+    return { run: run.toObject(), resumed: false };
+  } catch (error) {
+    // Another invocation started a run at the same moment
+    if (error.code === 11000) return { busy: true };
+    throw error;
+  }
+};
+
+/**
+ * Move the cursor past a checked shard (or the part of it checked before time ran out)
+ * and add its results. Returns false when the lease was lost to another invocation.
+ */
+monitorRunSchema.statics.recordShard = async function (runId, owner, { cursor, checked, documents, updated, failed, leaseMs }) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: runId, state: 'running', leaseOwner: owner },
+    {
+      $set: { cursor, leaseUntil: new Date(Date.now() + leaseMs) },
+      $inc: { shardsCompleted: 1, mattersChecked: checked, documentsProcessed: documents },
+      $push: { updatedMatters: { $each: updated }, failedMatters: { $each: failed } }
+    }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Let the next invocation continue the run straight away
+ */
+monitorRunSchema.statics.release = function (runId, owner) {
+  return this.updateOne({ _id: runId, leaseOwner: owner }, { $set: { leaseOwner: null, leaseUntil: null } });
+};
+
+/**
+ * Mark the run completed once every shard has been checked
+ */
+monitorRunSchema.statics.complete = function (runId, owner) {
+  return this.findOneAndUpdate(
+    { _id: runId, state: 'running', leaseOwner: owner },
+    { $set: { state: 'completed', completedAt: new Date(), leaseOwner: null, leaseUntil: null } },
+    { new: true }
+  ).lean();
+};
+
+const MonitorRun = mongoose.models.MonitorRun || mongoose.model('MonitorRun', monitorRunSchema);
+
+module.exports = MonitorRun;
+module.exports.RUN_STATES = RUN_STATES;
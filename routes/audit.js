@@ -0,0 +1,87 @@
+// routes/audit.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function parseDate(value, isUpperBound) {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  // A date-only "to" value includes that whole day
+  if (isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { $lt: date };
+  }
+  return isUpperBound ? { $lte: date } : { $gte: date };
+}
+
+// Query the audit log: ?matterId, ?applicationNumber, ?actor, ?action, ?from, ?to, ?limit, ?before (entry id)
+router.get('/', async (req, res) => {
+  try {
+    const { matterId, applicationNumber, actor, action, from, to, before } = req.query;
+    const filter = {};
+    const errors = [];
+
+    if (matterId) {
+      if (mongoose.isValidObjectId(matterId)) {
+        filter.matterId = matterId;
+      } else {
+        errors.push(`Invalid matterId: ${matterId}`);
+      }
+    }
+    if (applicationNumber) filter.applicationNumber = String(applicationNumber).trim();
+    if (actor) {
+      // Matches the verified actor or the identity claimed in the request header
+      const value = String(actor).trim().toLowerCase();
+      filter.$or = [{ actor: value }, { claimedActor: value }];
+    }
+    if (action) filter.action = { $in: String(action).split(',').map(item => item.trim()) };
+
+    const timestamp = {};
+    for (const [param, value, isUpperBound] of [['from', from, false], ['to', to, true]]) {
+      if (!value) continue;
+      const bound = parseDate(String(value), isUpperBound);
+      if (bound) {
+        Object.assign(timestamp, bound);
+      } else {
+        errors.push(`Invalid date for ${param}: ${value}`);
+      }
+    }
+    if (Object.keys(timestamp).length > 0) filter.timestamp = timestamp;
+
+    // Newest first; pass the last entry's id as ?before= to page back in time
+    if (before) {
+      if (mongoose.isValidObjectId(before)) {
+        filter._id = { $lt: before };
+      } else {
+        errors.push(`Invalid before: ${before}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const requested = parseInt(req.query.limit, 10);
+    const limit = isNaN(requested) || requested < 1 ? DEFAULT_LIMIT : Math.min(requested, MAX_LIMIT);
+
+    const entries = await AuditLog.find(filter).sort({ _id: -1 }).limit(limit + 1);
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    console.log(`📜 GET /api/audit - Returning ${page.length} entries`);
+    res.json({
+      entries: page,
+      limit,
+      nextBefore: hasMore ? String(page[page.length - 1]._id) : null
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/audit:', error.message);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const automationController = require('../automation-controller');
+const { auditRequest, requestActor } = require('../lib/audit');
 
 // Get automation status
 router.get('/status', (req, res) => {
@@ -9,14 +10,16 @@ router.get('/status', (req, res) => {
 });
 
 // Start scheduled automation
-router.post('/start', (req, res) => {
+router.post('/start', async (req, res) => {
   const result = automationController.startScheduledAutomation();
+  await auditRequest(req, { action: 'automation.start', details: { result } });
   res.json(result);
 });
 
 // Stop scheduled automation
-router.post('/stop', (req, res) => {
+router.post('/stop', async (req, res) => {
   const result = automationController.stopScheduledAutomation();
+  await auditRequest(req, { action: 'automation.stop', details: { result } });
   res.json(result);
 });
 
@@ -24,8 +27,10 @@ router.post('/stop', (req, res) => {
 router.post('/run-once', async (req, res) => {
   try {
     const result = await automationController.runAutomationOnce();
+    await auditRequest(req, { action: 'automation.run_once', details: { result } });
     res.json(result);
   } catch (error) {
+    await auditRequest(req, { action: 'automation.run_once', details: { error: error.message } });
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -33,14 +38,21 @@ router.post('/run-once', async (req, res) => {
 // Process single matter
 router.post('/process-single', async (req, res) => {
   try {
-    const { lawmaticsId } = req.body;
-    if (!lawmaticsId) {
-      return res.status(400).json({ success: false, message: 'Lawmatics ID is required' });
+    const { matterId } = req.body;
+    if (!matterId) {
+      return res.status(400).json({ success: false, message: 'Matter ID is required' });
     }
 
-    const result = await automationController.processSingleMatter(lawmaticsId);
+    const result = await automationController.processSingleMatter(String(matterId));
+    const { matter, ...outcome } = result;
+    await auditRequest(req, {
+      action: 'automation.process_single',
+      matter: matter || null,
+      details: { matterId: String(matterId), result: outcome }
+    });
     res.json(result);
   } catch (error) {
+    await auditRequest(req, { action: 'automation.process_single', details: { matterId: String(req.body.matterId), error: error.message } });
     res.status(500).json({ success: false, message: error.message });
   }
 });
@@ -48,14 +60,43 @@ router.post('/process-single', async (req, res) => {
 // Process multiple matters
 router.post('/process-multiple', async (req, res) => {
   try {
-    const { lawmaticsIds } = req.body;
-    if (!lawmaticsIds || !Array.isArray(lawmaticsIds) || lawmaticsIds.length === 0) {
-      return res.status(400).json({ success: false, message: 'Lawmatics IDs array is required' });
+    const { matterIds } = req.body;
+    if (!matterIds || !Array.isArray(matterIds) || matterIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Matter IDs array is required' });
     }
 
-    const result = await automationController.processMultipleMatters(lawmaticsIds);
+    const result = await automationController.processMultipleMatters(matterIds.map(String));
+    await auditRequest(req, {
+      action: 'automation.process_multiple',
+      details: { matterIds: matterIds.map(String), result }
+    });
     res.json(result);
   } catch (error) {
+    await auditRequest(req, { action: 'automation.process_multiple', details: { matterIds: req.body.matterIds, error: error.message } });
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Archive a matter's full document history to Drive, without emails or Lawmatics submissions
+router.post('/backfill', async (req, res) => {
+  try {
+    const { matterId } = req.body;
+    if (!matterId) {
+      return res.status(400).json({ success: false, message: 'Matter ID is required' });
+    }
+
+    // The backfill runs in the background; its outcome is recorded on the matter and in the audit log
+    const { done, ...result } = await automationController.startBackfill(String(matterId), requestActor(req));
+    const { matter, ...outcome } = result;
+    await auditRequest(req, {
+      action: 'automation.backfill',
+      matter: matter || null,
+      details: { matterId: String(matterId), result: outcome }
+    });
+    const status = result.success ? 202 : result.reason === 'not_found' ? 404 : result.reason === 'busy' ? 409 : 400;
+    res.status(status).json(result);
+  } catch (error) {
+    await auditRequest(req, { action: 'automation.backfill', details: { matterId: String(req.body.matterId), error: error.message } });
     res.status(500).json({ success: false, message: error.message });
   }
 });
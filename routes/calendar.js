@@ -0,0 +1,167 @@
+// routes/calendar.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Matter = require('../models/Matter');
+const CalendarFeed = require('../models/CalendarFeed');
+const { buildMatterFilter } = require('../lib/matterQuery');
+const { upcomingDates } = require('../lib/maintenance');
+const { findEscalatedDeadlines } = require('../lib/deadlines');
+const { renderCalendar } = require('../lib/calendarFeed');
+const { auditRequest, requestActor } = require('../lib/audit');
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 3660;
+const FEED_SCOPE_FIELDS = ['responsibleAttorney', 'clientName', 'tag'];
+
+// Fields the .ics feed needs from each matter
+const FEED_PROJECTION = {
+  applicationNumber: 1, type: 1, clientName: 1, responsibleAttorney: 1, docketNumber: 1,
+  lastDriveLink: 1, deadlines: 1, maintenance: 1
+};
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+}
+
+// Response deadlines and maintenance dates due in the next N days: ?days (default 90), ?from (YYYY-MM-DD),
+// plus the /api/matters filters (type, clientName, responsibleAttorney, tags, ...). Archived matters are
+// included, since issued patents and registrations still have maintenance dates.
+router.get('/upcoming', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_DAYS) {
+      return res.status(400).json({ error: `days must be a whole number between 0 and ${MAX_DAYS}` });
+    }
+    const from = req.query.from ? new Date(String(req.query.from)) : new Date();
+    if (isNaN(from)) {
+      return res.status(400).json({ error: `Invalid date for from: ${req.query.from}` });
+    }
+
+    const { filter, errors } = buildMatterFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const matters = await Matter.find(
+      { $and: [filter, { $or: [{ 'deadlines.status': 'open' }, { 'maintenance.0': { $exists: true } }] }] },
+      { applicationNumber: 1, type: 1, clientName: 1, responsibleAttorney: 1, docketNumber: 1, deadlines: 1, maintenance: 1 }
+    ).lean();
+
+    const upcoming = upcomingDates(matters, { from, days }).map(({ item, ...entry }) => entry);
+    console.log(`🗓️ GET /api/calendar/upcoming - ${upcoming.length} dates in the next ${days} days`);
+    res.json({
+      from: from.toISOString().split('T')[0],
+      days,
+      count: upcoming.length,
+      upcoming
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/calendar/upcoming:', error.message);
+    res.status(500).json({ error: 'Failed to fetch upcoming dates' });
+  }
+});
+
+// Open deadlines needing attention (coming due, urgent, in extension or missed), most pressing first
+router.get('/attention', async (req, res) => {
+  try {
+    const escalated = await findEscalatedDeadlines();
+    res.json({
+      count: escalated.length,
+      deadlines: escalated.map(({ deadline, ...item }) => ({ ...item, ruleId: deadline.ruleId, deadlineLabel: deadline.label }))
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/calendar/attention:', error.message);
+    res.status(500).json({ error: 'Failed to fetch deadlines needing attention' });
+  }
+});
+
+// Create an .ics feed: { name?, responsibleAttorney?, clientName?, tag? }. The URL holds the feed's
+// token and is only returned here.
+router.post('/feeds', async (req, res) => {
+  try {
+    const scope = {};
+    for (const field of FEED_SCOPE_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        scope[field] = String(value).trim();
+      }
+    }
+    const name = req.body.name && String(req.body.name).trim()
+      ? String(req.body.name).trim()
+      : ['USPTO Deadlines', ...Object.values(scope)].join(' - ');
+
+    const { feed, token } = await CalendarFeed.createWithToken({ name, ...scope, createdBy: requestActor(req).claimedActor });
+    await auditRequest(req, { action: 'calendar.feed.create', after: { id: String(feed._id), name, ...scope } });
+
+    console.log(`🗓️ Calendar feed created: ${name}`);
+    res.status(201).json({
+      success: true,
+      feed,
+      url: feedUrl(req, token),
+      message: 'Subscribe to this URL in your calendar app; it cannot be shown again'
+    });
+  } catch (error) {
+    console.error('❌ Error in POST /api/calendar/feeds:', error.message);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// List .ics feeds (without their URLs); ?includeRevoked=true to show revoked ones
+router.get('/feeds', async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const feeds = await CalendarFeed.find(filter).sort({ createdAt: -1 });
+    res.json({ feeds });
+  } catch (error) {
+    console.error('❌ Error in GET /api/calendar/feeds:', error.message);
+    res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+  }
+});
+
+// Revoke an .ics feed; its URL stops working
+router.delete('/feeds/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    await auditRequest(req, { action: 'calendar.feed.revoke', before: { id: String(feed._id), name: feed.name } });
+    console.log(`🗑️ Calendar feed revoked: ${feed.name}`);
+    res.json({ success: true, feed, message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/calendar/feeds:', error.message);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// iCalendar feed of every computed deadline and maintenance date in the feed's scope
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByToken(req.params.token);
+    if (!feed) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const matters = await Matter.find(feed.matterFilter(), FEED_PROJECTION).sort({ applicationNumber: 1 }).lean();
+    const ics = renderCalendar(matters, { name: feed.name });
+    await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: new Date() } });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="uspto-deadlines.ics"');
+    res.send(ics);
+  } catch (error) {
+    console.error('❌ Error in GET /api/calendar/:token.ics:', error.message);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+module.exports = router;
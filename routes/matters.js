@@ -0,0 +1,650 @@
+// routes/matters.js
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router();
+const Matter = require('../models/Matter');
+const { ARCHIVE_REASONS, METADATA_FIELDS, DEADLINE_STATES } = require('../models/Matter');
+const { parseMatterFile } = require('../lib/matterImport');
+const { parseApplicationNumber } = require('../lib/applicationNumber');
+const { auditRequest, requestActor, snapshot } = require('../lib/audit');
+const { buildExportRows, toCSV } = require('../lib/matterExport');
+const { recordPriorityDeadlines } = require('../lib/priorityDeadlines');
+const automationController = require('../automation-controller');
+const {
+  buildMatterFilter,
+  parseSort,
+  parseLimit,
+  sortSpec,
+  encodeCursor,
+  cursorFilter,
+  summarizeMatters
+} = require('../lib/matterQuery');
+
+// Spreadsheets are parsed in memory; 5 MB is far more than a few thousand rows
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+/**
+ * Return an error message if the application number is already registered.
+ * A Lawmatics prospect may own any number of applications.
+ */
+async function findDuplicateError({ applicationNumber }) {
+  const existing = await Matter.findOne({ applicationNumber }, { deletedAt: 1 }).lean();
+  if (existing && existing.deletedAt) {
+    return `Matter with this application number was deleted; restore it with POST /api/matters/${existing._id}/restore`;
+  }
+  if (existing) {
+    return 'Matter already exists with this application number';
+  }
+  return null;
+}
+
+/**
+ * Pick the metadata fields present in a request body; empty values clear the field
+ */
+function pickMetadata(body) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    if (body[field] !== undefined) {
+      const value = body[field];
+      metadata[field] = value === '' || value === null ? (field === 'tags' ? [] : null) : value;
+    }
+  }
+  return metadata;
+}
+
+// Fields captured in audit snapshots when a matter is created
+const AUDIT_FIELDS = ['applicationNumber', 'lawmaticsID', 'type', 'status', ...METADATA_FIELDS];
+
+/**
+ * Apply a lifecycle change to one matter and send the updated matter back
+ */
+async function updateLifecycle(req, res, action, update, message) {
+  try {
+    const matter = await Matter.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!matter) {
+      console.log('❌ Matter not found:', req.params.id);
+      return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    const fields = Object.keys(update);
+    const before = snapshot(matter, fields);
+    matter.set(update);
+    matter.lastUpdated = new Date();
+    await matter.save();
+    await auditRequest(req, { action, matter, before, after: snapshot(matter, fields) });
+
+    console.log(`✅ Matter ${matter.applicationNumber}: ${message}`);
+    res.json({ success: true, matter, message });
+  } catch (error) {
+    console.error(`❌ Error in ${req.method} ${req.originalUrl}:`, error.message);
+    res.status(500).json({ error: 'Failed to update matter' });
+  }
+}
+
+// Matters are addressed by their own ID; anything that is not an ObjectId cannot match
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    console.log('❌ Matter not found:', id);
+    return res.status(404).json({ error: 'Matter not found' });
+  }
+  next();
+});
+
+// Search matters with filters, sorting and cursor pagination (see lib/matterQuery.js)
+router.get('/', async (req, res) => {
+  try {
+    const { filter, errors } = buildMatterFilter(req.query);
+    const sort = parseSort(req.query.sort);
+    if (sort.error) {
+      errors.push(sort.error);
+    }
+
+    let pageFilter = filter;
+    if (req.query.cursor && !sort.error) {
+      const afterCursor = cursorFilter(req.query.cursor, sort);
+      if (afterCursor) {
+        pageFilter = { $and: [filter, afterCursor] };
+      } else {
+        errors.push('Invalid cursor');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const [page, summary] = await Promise.all([
+      Matter.find(pageFilter).sort(sortSpec(sort)).limit(limit + 1),
+      summarizeMatters(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const matters = hasMore ? page.slice(0, limit) : page;
+
+    console.log(`📋 GET /api/matters - Returning ${matters.length} of ${summary.total} matters`);
+    res.json({
+      matters,
+      total: summary.total,
+      counts: summary.counts,
+      limit,
+      nextCursor: hasMore ? encodeCursor(matters[matters.length - 1], sort) : null
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/matters:', error.message);
+    res.status(500).json({ error: 'Failed to fetch matters' });
+  }
+});
+
+// Export matters with their processing state (?format=csv|json, same filters and sort as the list)
+router.get('/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Expected csv or json' });
+    }
+
+    const { filter, errors } = buildMatterFilter(req.query);
+    const sort = parseSort(req.query.sort);
+    if (sort.error) {
+      errors.push(sort.error);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const matters = await Matter.find(filter).select('+processedState').sort(sortSpec(sort)).lean();
+    const rows = await buildExportRows(matters);
+    const fileName = `matters-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    console.log(`📤 GET /api/matters/export - ${rows.length} matters as ${format}`);
+    res.attachment(fileName);
+    if (format === 'json') {
+      res.json({ exportedAt: new Date().toISOString(), total: rows.length, matters: rows });
+    } else {
+      res.type('text/csv').send(toCSV(rows));
+    }
+  } catch (error) {
+    console.error('❌ Error in GET /api/matters/export:', error.message);
+    res.status(500).json({ error: 'Failed to export matters: ' + error.message });
+  }
+});
+
+// Add new matter
+router.post('/', async (req, res) => {
+  try {
+    const { lawmaticsID } = req.body;
+
+    console.log('📝 POST /api/matters - Adding matter:', {
+      applicationNumber: req.body.applicationNumber,
+      lawmaticsID,
+      type: req.body.type
+    });
+
+    // Validate required fields (type is inferred from the application number when omitted)
+    if (!req.body.applicationNumber || !lawmaticsID) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        error: 'Missing required fields: applicationNumber, lawmaticsID'
+      });
+    }
+
+    const parsed = parseApplicationNumber(req.body.applicationNumber, req.body.type);
+    if (!parsed.valid) {
+      console.log('❌', parsed.error);
+      return res.status(400).json({
+        error: parsed.error
+      });
+    }
+    const { applicationNumber, type } = parsed;
+
+    // Check if matter already exists by applicationNumber
+    const duplicateError = await findDuplicateError({ applicationNumber });
+    if (duplicateError) {
+      console.log('❌', duplicateError, { applicationNumber, lawmaticsID });
+      return res.status(400).json({
+        error: duplicateError
+      });
+    }
+
+    const newMatter = await Matter.create({
+      applicationNumber,
+      lawmaticsID,
+      type,
+      status: 'Pending Automation',
+      ...pickMetadata(req.body)
+    });
+
+    await auditRequest(req, { action: 'matter.create', matter: newMatter, after: snapshot(newMatter, AUDIT_FIELDS) });
+
+    // Optionally archive the documents filed before monitoring started
+    let backfill;
+    if (req.body.backfill === true || req.body.backfill === 'true') {
+      backfill = await automationController.startBackfill(String(newMatter._id), requestActor(req));
+    }
+
+    console.log('✅ Matter added successfully:', newMatter.toJSON());
+    res.json({
+      success: true,
+      matter: backfill?.matter || newMatter,
+      message: backfill ? `Matter added successfully. ${backfill.message}` : 'Matter added successfully'
+    });
+
+  } catch (error) {
+    // Unique index on applicationNumber catches concurrent inserts
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Matter already exists with this application number'
+      });
+    }
+    console.error('❌ Error in POST /api/matters:', error.message);
+    res.status(500).json({
+      error: 'Failed to add matter: ' + error.message
+    });
+  }
+});
+
+// Bulk import matters from a CSV/XLSX upload (field "file"); ?dryRun=true previews without saving
+router.post('/import', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({ error: 'Upload failed: ' + uploadError.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: 'Missing file: upload a CSV or XLSX file in the "file" field' });
+      }
+
+      const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun || req.body.dryRun).toLowerCase());
+      console.log(`📥 POST /api/matters/import - ${req.file.originalname}${dryRun ? ' (dry run)' : ''}`);
+
+      let rows;
+      try {
+        rows = parseMatterFile(req.file.buffer, req.file.originalname);
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+
+      const seenApplicationNumbers = new Set();
+      const report = [];
+
+      for (const row of rows) {
+        const { lawmaticsID } = row;
+        const entry = { row: row.row, applicationNumber: row.applicationNumber, lawmaticsID, type: row.type };
+
+        if (!row.applicationNumber || !lawmaticsID) {
+          report.push({ ...entry, result: 'invalid', message: 'Missing required fields: applicationNumber, lawmaticsID' });
+          continue;
+        }
+
+        const parsed = parseApplicationNumber(row.applicationNumber, row.type);
+        if (!parsed.valid) {
+          report.push({ ...entry, result: 'invalid', message: parsed.error });
+          continue;
+        }
+        const { applicationNumber, type } = parsed;
+        Object.assign(entry, { applicationNumber, type });
+
+        // Same checks as POST /api/matters, plus duplicates earlier in this file
+        let duplicateError = null;
+        if (seenApplicationNumbers.has(applicationNumber)) {
+          duplicateError = 'Application number appears earlier in this file';
+        } else {
+          duplicateError = await findDuplicateError({ applicationNumber });
+        }
+        if (duplicateError) {
+          report.push({ ...entry, result: 'duplicate', message: duplicateError });
+          continue;
+        }
+
+        seenApplicationNumbers.add(applicationNumber);
+
+        if (!dryRun) {
+          try {
+            const matter = await Matter.create({ applicationNumber, lawmaticsID, type, status: 'Pending Automation' });
+            await auditRequest(req, {
+              action: 'matter.create',
+              matter,
+              after: snapshot(matter, AUDIT_FIELDS),
+              details: { source: 'import', file: req.file.originalname, row: row.row }
+            });
+          } catch (createError) {
+            const result = createError.code === 11000 ? 'duplicate' : 'invalid';
+            report.push({ ...entry, result, message: createError.message });
+            continue;
+          }
+        }
+
+        report.push({ ...entry, result: 'added', message: dryRun ? 'Would be added' : 'Matter added' });
+      }
+
+      const summary = {
+        total: report.length,
+        added: report.filter(r => r.result === 'added').length,
+        duplicate: report.filter(r => r.result === 'duplicate').length,
+        invalid: report.filter(r => r.result === 'invalid').length
+      };
+
+      // Previews change nothing and are not audited
+      if (!dryRun) {
+        await auditRequest(req, { action: 'matter.import', details: { file: req.file.originalname, summary } });
+      }
+
+      console.log(`✅ Import ${dryRun ? 'preview' : 'completed'}:`, summary);
+      res.json({
+        success: true,
+        dryRun,
+        summary,
+        rows: report,
+        message: dryRun
+          ? `Dry run: ${summary.added} of ${summary.total} matters would be added`
+          : `Imported ${summary.added} of ${summary.total} matters`
+      });
+
+    } catch (error) {
+      console.error('❌ Error in POST /api/matters/import:', error.message);
+      res.status(500).json({
+        error: 'Failed to import matters: ' + error.message
+      });
+    }
+  });
+});
+
+// Get a single matter
+router.get('/:id', async (req, res) => {
+  try {
+    const matter = await Matter.findOne({ _id: req.params.id, deletedAt: null });
+    if (!matter) {
+      return res.status(404).json({ error: 'Matter not found' });
+    }
+    res.json(matter);
+  } catch (error) {
+    console.error('❌ Error in GET /api/matters/:id:', error.message);
+    res.status(500).json({ error: 'Failed to fetch matter' });
+  }
+});
+
+// Docketed response deadlines of a matter, soonest first (?status=open|satisfied to filter)
+router.get('/:id/deadlines', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !DEADLINE_STATES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DEADLINE_STATES.join(', ')}` });
+    }
+
+    const matter = await Matter.findOne({ _id: req.params.id, deletedAt: null }, { applicationNumber: 1, type: 1, deadlines: 1 }).lean();
+    if (!matter) {
+      return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    const deadlines = (matter.deadlines || [])
+      .filter(deadline => !status || (deadline.status || 'open') === status)
+      .sort((a, b) => a.responseDueEffective - b.responseDueEffective);
+    res.json({
+      matterId: String(matter._id),
+      applicationNumber: matter.applicationNumber,
+      type: matter.type,
+      deadlines
+    });
+  } catch (error) {
+    console.error('❌ Error in GET /api/matters/:id/deadlines:', error.message);
+    res.status(500).json({ error: 'Failed to fetch deadlines' });
+  }
+});
+
+// Close a deadline by hand (e.g. national phase entered abroad) or reopen it: { status, note? }
+router.patch('/:id/deadlines/:deadlineId', async (req, res) => {
+  try {
+    const { id, deadlineId } = req.params;
+    const { status, note } = req.body;
+    if (!DEADLINE_STATES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DEADLINE_STATES.join(', ')}` });
+    }
+
+    const matter = await Matter.findOne({ _id: id, deletedAt: null });
+    const deadline = matter && matter.deadlines.id(deadlineId);
+    if (!deadline) {
+      return res.status(404).json({ error: matter ? 'Deadline not found' : 'Matter not found' });
+    }
+    if (deadline.status === status) {
+      return res.status(400).json({ error: `Deadline is already ${status}` });
+    }
+
+    const fields = ['status', 'satisfiedBy', 'closedAt'];
+    const before = snapshot(deadline, fields);
+    if (status === 'satisfied') {
+      deadline.satisfiedBy = {
+        description: note ? String(note).trim() : 'Closed manually',
+        documentCode: null,
+        date: new Date(),
+        manual: true
+      };
+      deadline.closedAt = new Date();
+    } else {
+      deadline.satisfiedBy = undefined;
+      deadline.closedAt = undefined;
+    }
+    deadline.status = status;
+    await matter.save();
+    await auditRequest(req, {
+      action: status === 'satisfied' ? 'matter.deadline.close' : 'matter.deadline.reopen',
+      matter,
+      before,
+      after: snapshot(deadline, fields),
+      details: { deadlineId: String(deadline._id), ruleId: deadline.ruleId, label: deadline.label }
+    });
+
+    console.log(`✅ ${matter.applicationNumber}: "${deadline.label}" marked ${status} by hand`);
+    res.json({
+      success: true,
+      deadline,
+      message: `Deadline marked ${status}`
+    });
+  } catch (error) {
+    console.error('❌ Error in PATCH /api/matters/:id/deadlines:', error.message);
+    res.status(500).json({ error: 'Failed to update deadline' });
+  }
+});
+
+// Update matter status
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    console.log(`🔄 PUT /api/matters/${id} - Status: ${status}`);
+
+    const matter = await Matter.findOne({ _id: id, deletedAt: null });
+    if (matter) {
+      const oldStatus = matter.status;
+      matter.status = status;
+      matter.lastUpdated = new Date();
+      await matter.save();
+      await auditRequest(req, { action: 'matter.status', matter, before: { status: oldStatus }, after: { status } });
+
+      console.log(`✅ Status updated: ${oldStatus} → ${status}`);
+      res.json({
+        success: true,
+        matter,
+        message: `Status updated to ${status}`
+      });
+    } else {
+      console.log('❌ Matter not found:', id);
+      res.status(404).json({
+        error: 'Matter not found'
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error in PUT /api/matters:', error.message);
+    res.status(500).json({
+      error: 'Failed to update matter status'
+    });
+  }
+});
+
+// Edit matter metadata (client, responsible attorney, paralegal, docket number, tags)
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const unsupported = Object.keys(req.body).filter(field => !METADATA_FIELDS.includes(field));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        error: `Unsupported fields: ${unsupported.join(', ')}. Editable fields: ${METADATA_FIELDS.join(', ')}`
+      });
+    }
+
+    const updates = pickMetadata(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${METADATA_FIELDS.join(', ')}` });
+    }
+
+    console.log(`✏️ PATCH /api/matters/${id}:`, updates);
+
+    const matter = await Matter.findOne({ _id: id, deletedAt: null });
+    if (!matter) {
+      console.log('❌ Matter not found:', id);
+      return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    const fields = Object.keys(updates);
+    const before = snapshot(matter, fields);
+    matter.set(updates);
+    matter.lastUpdated = new Date();
+    await matter.save();
+    await auditRequest(req, { action: 'matter.update', matter, before, after: snapshot(matter, fields) });
+
+    // PCT national phase / provisional conversion deadlines run from the priority date
+    let updated = matter;
+    if (fields.includes('priorityDate') && (await recordPriorityDeadlines(matter.toObject())).length > 0) {
+      updated = await Matter.findById(matter._id);
+    }
+
+    console.log(`✅ Metadata updated for ${matter.applicationNumber}`);
+    res.json({
+      success: true,
+      matter: updated,
+      message: 'Matter updated'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error in PATCH /api/matters:', error.message);
+    res.status(500).json({
+      error: 'Failed to update matter'
+    });
+  }
+});
+
+// Pause monitoring, optionally until a resume date
+router.post('/:id/pause', (req, res) => {
+  const { resumeAt } = req.body;
+  const pausedUntil = resumeAt ? new Date(resumeAt) : null;
+
+  if (pausedUntil && isNaN(pausedUntil)) {
+    return res.status(400).json({ error: 'Invalid resumeAt date' });
+  }
+
+  const message = pausedUntil
+    ? `Monitoring paused until ${pausedUntil.toISOString().split('T')[0]}`
+    : 'Monitoring paused';
+  updateLifecycle(req, res, 'matter.pause', { monitoringState: 'paused', pausedUntil, archiveReason: null, archivedAt: null }, message);
+});
+
+// Resume monitoring of a paused or archived matter
+router.post('/:id/resume', (req, res) => {
+  updateLifecycle(req, res, 'matter.resume', { monitoringState: 'active', pausedUntil: null, archiveReason: null, archivedAt: null }, 'Monitoring resumed');
+});
+
+// Archive a matter that no longer needs monitoring (registered, abandoned, issued)
+router.post('/:id/archive', (req, res) => {
+  const { reason } = req.body;
+
+  if (!ARCHIVE_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `Invalid archive reason. Expected one of: ${ARCHIVE_REASONS.join(', ')}` });
+  }
+
+  updateLifecycle(req, res, 'matter.archive', { monitoringState: 'archived', archiveReason: reason, archivedAt: new Date(), pausedUntil: null }, `Matter archived (${reason})`);
+});
+
+// Delete matter (soft delete; history is kept and the matter can be restored)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log(`🗑️ DELETE /api/matters/${id}`);
+
+    const matter = await Matter.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt: new Date(), lastUpdated: new Date() } },
+      { new: true }
+    );
+
+    if (!matter) {
+      console.log('❌ Matter not found for deletion:', id);
+      return res.status(404).json({
+        error: 'Matter not found'
+      });
+    }
+
+    await auditRequest(req, { action: 'matter.delete', matter, before: { deletedAt: null }, after: { deletedAt: matter.deletedAt } });
+
+    console.log('✅ Matter deleted successfully');
+    res.json({
+      success: true,
+      matter,
+      message: 'Matter deleted successfully',
+      deletedCount: 1
+    });
+
+  } catch (error) {
+    console.error('❌ Error in DELETE /api/matters:', error.message);
+    res.status(500).json({
+      error: 'Failed to delete matter'
+    });
+  }
+});
+
+// Restore a soft-deleted matter
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    console.log(`♻️ POST /api/matters/${id}/restore`);
+
+    const previous = await Matter.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, lastUpdated: new Date() } }
+    );
+
+    if (!previous) {
+      console.log('❌ Deleted matter not found:', id);
+      return res.status(404).json({
+        error: 'Deleted matter not found'
+      });
+    }
+
+    const matter = await Matter.findById(id);
+    await auditRequest(req, { action: 'matter.restore', matter, before: { deletedAt: previous.deletedAt }, after: { deletedAt: null } });
+
+    console.log('✅ Matter restored successfully');
+    res.json({
+      success: true,
+      matter,
+      message: 'Matter restored successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error in POST /api/matters/:id/restore:', error.message);
+    res.status(500).json({
+      error: 'Failed to restore matter'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// scripts/migrate-map-to-mongo.js
+// One-time import of the legacy map.json matter registry into MongoDB.
+//
+// Usage:
+//   node scripts/migrate-map-to-mongo.js [path/to/map.json] [--dry-run] [--overwrite]
+//
+// Existing matters (matched by applicationNumber) are left untouched unless
+// --overwrite is passed, so the import can be re-run safely.
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const Matter = require('../models/Matter');
+const { parseApplicationNumber } = require('../lib/applicationNumber');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const overwrite = args.includes('--overwrite');
+const mapFilePath = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../map.json'));
+
+/**
+ * Convert a map.json entry into a Matter document, keeping its original timestamps
+ */
+function toMatterDoc(entry) {
+  const lastUpdated = entry.lastUpdated ? new Date(entry.lastUpdated) : new Date();
+  // Two legacy entries predate createdAt; fall back to their last update
+  const createdAt = entry.createdAt ? new Date(entry.createdAt) : lastUpdated;
+
+  return {
+    applicationNumber: String(entry.applicationNumber).trim(),
+    lawmaticsID: String(entry.lawmaticsID).trim(),
+    type: entry.type,
+    status: entry.status || 'Pending Automation',
+    createdAt,
+    lastUpdated
+  };
+}
+
+async function migrate() {
+  console.log(`📂 Reading matters from ${mapFilePath}`);
+  const entries = JSON.parse(fs.readFileSync(mapFilePath, 'utf8'));
+  console.log(`📋 Found ${entries.length} entries in map.json`);
+
+  const invalid = [];
+  const docs = [];
+  for (const entry of entries) {
+    const parsed = parseApplicationNumber(entry.applicationNumber, entry.type);
+    if (!parsed.valid) {
+      invalid.push({ applicationNumber: entry.applicationNumber, error: parsed.error });
+      continue;
+    }
+
+    const doc = toMatterDoc({ ...entry, applicationNumber: parsed.applicationNumber, type: parsed.type });
+    const error = new Matter(doc).validateSync();
+    if (error) {
+      invalid.push({ applicationNumber: entry.applicationNumber, error: error.message });
+    } else {
+      docs.push(doc);
+    }
+  }
+
+  if (invalid.length > 0) {
+    console.warn(`⚠️ Skipping ${invalid.length} invalid entries:`);
+    invalid.forEach(item => console.warn(`   ${item.applicationNumber}: ${item.error}`));
+  }
+
+  if (dryRun) {
+    console.log(`🧪 Dry run - ${docs.length} matters would be imported`);
+    return;
+  }
+
+  await connectDB();
+  await Matter.init(); // make sure the unique index exists before writing
+
+  // Use the raw collection so createdAt/lastUpdated from map.json are kept as-is
+  const operations = docs.map(doc => ({
+    updateOne: {
+      filter: { applicationNumber: doc.applicationNumber },
+      update: overwrite ? { $set: doc } : { $setOnInsert: doc },
+      upsert: true
+    }
+  }));
+
+  const result = await Matter.collection.bulkWrite(operations, { ordered: false });
+
+  console.log('✅ Migration completed:');
+  console.log(`   Inserted: ${result.upsertedCount}`);
+  console.log(`   Updated: ${result.modifiedCount}`);
+  console.log(`   Already present: ${docs.length - result.upsertedCount - result.modifiedCount}`);
+  console.log(`   Invalid: ${invalid.length}`);
+  console.log(`   Total in database: ${await Matter.countDocuments()}`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// scripts/migrate-processed-state.js
+// Convert state/lastProcessedState.json from one date per application to seen document identities.
+//
+// Usage:
+//   node scripts/migrate-processed-state.js [path/to/lastProcessedState.json] [--dry-run]
+//
+// The monitors also migrate on load, so running this is optional; it lets the change be
+// reviewed (and backed up as .bak.1) before the next run. Already migrated entries are left as-is.
+const path = require('path');
+const { readJson, updateJson } = require('../lib/jsonStore');
+const { migrateState } = require('../lib/processedState');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const stateFilePath = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../state/lastProcessedState.json'));
+
+async function migrate() {
+  console.log(`📂 Reading state from ${stateFilePath}`);
+
+  if (dryRun) {
+    const state = await readJson(stateFilePath, {});
+    const total = Object.keys(state).length;
+    console.log(`🧪 Dry run - ${migrateState(state)} of ${total} entries would be migrated`);
+    return;
+  }
+
+  let migrated = 0;
+  const state = await updateJson(stateFilePath, current => {
+    migrated = migrateState(current);
+    return current;
+  }, { defaultValue: {} });
+
+  console.log('✅ Migration completed:');
+  console.log(`   Migrated: ${migrated}`);
+  console.log(`   Total entries: ${Object.keys(state).length}`);
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+});
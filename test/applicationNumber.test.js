@@ -0,0 +1,68 @@
+// Validation and canonical forms of application numbers (lib/applicationNumber.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApplicationNumber, canonicalApplicationNumber, normalizeType } = require('../lib/applicationNumber');
+
+const valid = [
+  // [input, type, applicationNumber, type, kind]
+  ['16/123,456', undefined, '16123456', 'Patent', 'utility'],
+  ['US 10/349,115', 'patent', '10349115', 'Patent', 'utility'],
+  ['29/923,820', undefined, '29923820', 'Patent', 'design'],
+  ['63/555,123', 'Patent', '63555123', 'Patent', 'provisional'],
+  ['90/014,321', 'Patent', '90014321', 'Patent', 'reexamination'],
+  ['PCT/US17/59389', undefined, 'PCT/US17/59389', 'Patent', 'pct'],
+  ['PCT/US2017/059389', undefined, 'PCT/US17/59389', 'Patent', 'pct'],
+  ['pct us 2023 012345', 'Patent', 'PCT/US23/12345', 'Patent', 'pct'],
+  ['97123456', undefined, '97123456', 'Trademark', 'serial'],
+  ['SN 97-123-456', 'Trademark', '97123456', 'Trademark', 'serial'],
+  ['90123456', undefined, '90123456', 'Trademark', 'serial'],
+  ['1,234,567', undefined, '1234567', 'Trademark', 'registration'],
+  ['Reg. No. 1,234,567', 'Trademark', '1234567', 'Trademark', 'registration'],
+  ['RN1234567', undefined, '1234567', 'Trademark', 'registration']
+];
+
+for (const [input, type, applicationNumber, expectedType, kind] of valid) {
+  test(`"${input}"${type ? ` (${type})` : ''} is ${expectedType} ${applicationNumber}`, () => {
+    assert.deepEqual(parseApplicationNumber(input, type), { valid: true, applicationNumber, type: expectedType, kind });
+  });
+}
+
+const invalid = [
+  // [input, type, error fragment]
+  ['', undefined, /required/],
+  [null, 'Patent', /required/],
+  ['16123456', 'Design', /Invalid type "Design"/],
+  ['PCT/US17/59389', 'Trademark', /not trademarks/],
+  ['PCT/17/59389', undefined, /PCT numbers must look like/],
+  ['16/12a,456', undefined, /only digits/],
+  ['1612345', 'Patent', /8 digits/],
+  ['RN123456', undefined, /7 digits/],
+  ['161234567', undefined, /expected 8 digits, got 9/],
+  ['97123456', 'Patent', /series code 97 is not a patent application series/],
+  ['16123456', 'Trademark', /series code 16 is not a trademark serial series/],
+  ['50123456', undefined, /unknown series code 50/]
+];
+
+for (const [input, type, error] of invalid) {
+  test(`"${input}"${type ? ` (${type})` : ''} is rejected`, () => {
+    const parsed = parseApplicationNumber(input, type);
+    assert.equal(parsed.valid, false);
+    assert.match(parsed.error, error);
+  });
+}
+
+test('an explicit Patent type reads overlapping series as reexamination', () => {
+  assert.equal(parseApplicationNumber('95001234', 'Patent').kind, 'reexamination');
+  assert.equal(parseApplicationNumber('95001234').type, 'Trademark');
+});
+
+test('canonicalApplicationNumber falls back to the trimmed input', () => {
+  assert.equal(canonicalApplicationNumber(' 16/123,456 '), '16123456');
+  assert.equal(canonicalApplicationNumber(' not a number '), 'not a number');
+});
+
+test('normalizeType accepts any case and rejects other types', () => {
+  assert.equal(normalizeType(' TRADEMARK '), 'Trademark');
+  assert.equal(normalizeType(null), null);
+  assert.equal(normalizeType('copyright'), undefined);
+});
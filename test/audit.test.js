@@ -0,0 +1,25 @@
+// Actor attribution of audit entries (lib/audit.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requestActor, snapshot } = require('../lib/audit');
+
+const request = headers => ({ get: name => headers[name] });
+
+test('the X-User-Email header is recorded as a claim, never as the actor', () => {
+  assert.deepEqual(requestActor(request({ 'X-User-Email': ' Paralegal@Firm.com ' })), {
+    actor: 'anonymous',
+    claimedActor: 'paralegal@firm.com'
+  });
+});
+
+test('requests without the header have no claimed actor', () => {
+  assert.deepEqual(requestActor(request({})), { actor: 'anonymous', claimedActor: null });
+});
+
+test('snapshots copy the listed fields and fill missing ones with null', () => {
+  assert.deepEqual(snapshot({ status: 'Active', clientName: 'Acme', tags: ['x'] }, ['status', 'responsibleAttorney']), {
+    status: 'Active',
+    responsibleAttorney: null
+  });
+  assert.equal(snapshot(null, ['status']), null);
+});
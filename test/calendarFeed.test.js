@@ -0,0 +1,96 @@
+// iCalendar rendering of computed deadlines.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, renderCalendar } = require('../lib/calendarFeed');
+const { maintenanceSchedule } = require('../lib/maintenance');
+const CalendarFeed = require('../models/CalendarFeed');
+
+const now = new Date('2024-02-01T12:30:00Z');
+const escalation = { warningDays: 30, urgentDays: 7 };
+
+const matter = {
+  _id: '65a1b2c3d4e5f60718293a4b',
+  applicationNumber: '16123456',
+  type: 'Patent',
+  clientName: 'Acme, Inc.',
+  responsibleAttorney: 'Jane Doe',
+  patentStatus: { grantDate: new Date('2021-03-02T00:00:00Z') },
+  deadlines: [{
+    _id: '65a1b2c3d4e5f60718293a4c',
+    ruleId: 'patent-non-final-rejection',
+    label: 'Response to non-final rejection',
+    sourceId: 'CTNF|2024-01-31|abc',
+    sourceDocument: {
+      description: 'Non-Final Rejection',
+      date: new Date('2024-01-31T00:00:00Z'),
+      link: 'https://drive.google.com/file/d/abc123/view'
+    },
+    responseDueEffective: new Date('2024-04-30T00:00:00Z'),
+    finalDeadlineEffective: new Date('2024-07-31T00:00:00Z'),
+    status: 'open'
+  }]
+};
+matter.maintenance = maintenanceSchedule(matter);
+
+// Unfold continuation lines and split into content lines
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('text values are escaped', () => {
+  assert.equal(escapeText('Acme, Inc.; R&D\\Legal\nline 2'), 'Acme\\, Inc.\\; R&D\\\\Legal\\nline 2');
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}`;
+  const folded = foldLine(line);
+  for (const part of folded.split('\r\n')) {
+    assert.ok(Buffer.byteLength(part) <= 75);
+  }
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('deadlines and maintenance dates become all-day events with alarms', () => {
+  const ics = renderCalendar([matter], { name: 'Jane Doe', now, escalation });
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+  const lines = unfold(ics);
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(lines.includes('X-WR-CALNAME:Jane Doe'));
+  // Response due and final deadline, plus window / due / grace for three maintenance fees
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2 + 3 * 3);
+  assert.equal(lines.filter(line => line === 'BEGIN:VALARM').length, (2 + 3 * 3) * 2);
+
+  // Events are in date order; the 3.5-year maintenance window opens first
+  assert.ok(lines.includes('UID:65a1b2c3d4e5f60718293a4b-maintenance-maintenance-3.5-window-opens@uspto-monitor'));
+  assert.ok(lines.indexOf('DTSTART;VALUE=DATE:20240302') < lines.indexOf('DTSTART;VALUE=DATE:20240430'));
+
+  const uid = lines.indexOf('UID:65a1b2c3d4e5f60718293a4b-deadline-65a1b2c3d4e5f60718293a4c-response-due@uspto-monitor');
+  assert.ok(uid > 0);
+  const first = lines.slice(uid - 1, lines.indexOf('END:VEVENT', uid) + 1);
+  assert.ok(first.includes('DTSTAMP:20240201T123000Z'));
+  assert.ok(first.includes('DTSTART;VALUE=DATE:20240430'));
+  assert.ok(first.includes('DTEND;VALUE=DATE:20240501'));
+  assert.ok(first.includes('SUMMARY:Response due: Response to non-final rejection (16123456)'));
+  assert.ok(first.includes('URL:https://drive.google.com/file/d/abc123/view'));
+  assert.ok(first.includes('TRIGGER:-P30D'));
+  assert.ok(first.includes('TRIGGER:-P7D'));
+
+  const description = first.find(line => line.startsWith('DESCRIPTION:'));
+  assert.match(description, /Application: 16123456 \(Patent\)\\n/);
+  assert.match(description, /Client: Acme\\, Inc\.\\n/);
+  assert.match(description, /Document: Non-Final Rejection \(2024-01-31\)\\n/);
+  assert.match(description, /Drive: https:\/\/drive\.google\.com\/file\/d\/abc123\/view$/);
+});
+
+test('satisfied deadlines are left out', () => {
+  const answered = { ...matter, maintenance: [], deadlines: [{ ...matter.deadlines[0], status: 'satisfied' }] };
+  assert.ok(!renderCalendar([answered], { now, escalation }).includes('BEGIN:VEVENT'));
+});
+
+test('feed scopes match attorney and client names whatever their case', () => {
+  const feed = new CalendarFeed({ name: 'Jane', tokenHash: 'x', responsibleAttorney: 'jane doe', clientName: 'Acme (US)', tag: 'EU' });
+  const filter = feed.matterFilter();
+  assert.equal(filter.tags, 'eu');
+  assert.ok(new RegExp(filter.responsibleAttorney.$regex, filter.responsibleAttorney.$options).test('Jane Doe'));
+  assert.ok(!new RegExp(filter.responsibleAttorney.$regex, filter.responsibleAttorney.$options).test('Jane Doe Jr.'));
+  assert.ok(new RegExp(filter.clientName.$regex, filter.clientName.$options).test('ACME (US)'));
+});
@@ -0,0 +1,164 @@
+// Deadline rules (config/deadline-rules.json) against fixture documents.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixtures = require('./fixtures/deadline-documents.json');
+const {
+  loadDeadlineRules,
+  compileDeadlineRules,
+  addMonths,
+  federalHolidays,
+  nextBusinessDay,
+  computeDeadline,
+  findResponse,
+  countExtensions,
+  closeAnsweredDeadlines,
+  docketExistingDocuments,
+  escalationFor
+} = require('../lib/deadlines');
+const Matter = require('../models/Matter');
+
+const day = value => value.toISOString().split('T')[0];
+const parseDocument = doc => ({ ...doc, date: new Date(`${doc.date}T00:00:00Z`) });
+
+test('shipped rules table is valid', () => {
+  assert.ok(loadDeadlineRules().length > 0);
+});
+
+for (const fixture of fixtures) {
+  test(`fixture: ${fixture.name}`, () => {
+    const deadline = computeDeadline(parseDocument(fixture.document), fixture.type);
+
+    if (fixture.expected === null) {
+      assert.equal(deadline, null);
+      return;
+    }
+
+    const { expected } = fixture;
+    assert.equal(deadline.ruleId, expected.ruleId);
+    assert.equal(deadline.status, 'open');
+    assert.equal(day(deadline.triggerDate), fixture.document.date);
+    assert.deepEqual([day(deadline.responseDue), day(deadline.responseDueEffective)], expected.responseDue);
+    assert.deepEqual(
+      deadline.extensions.map(extension => [day(extension.dueDate), day(extension.effectiveDate)]),
+      expected.extensions
+    );
+    assert.deepEqual([day(deadline.finalDeadline), day(deadline.finalDeadlineEffective)], expected.finalDeadline);
+  });
+}
+
+test('the same document always gets the same source id', () => {
+  const [fixture] = fixtures;
+  const first = computeDeadline(parseDocument(fixture.document), fixture.type);
+  const second = computeDeadline(parseDocument(fixture.document), fixture.type);
+  assert.equal(first.sourceId, second.sourceId);
+});
+
+test('addMonths ends on the last day of shorter months', () => {
+  assert.equal(day(addMonths(new Date('2024-01-31T00:00:00Z'), 1)), '2024-02-29');
+  assert.equal(day(addMonths(new Date('2023-01-31T00:00:00Z'), 1)), '2023-02-28');
+  assert.equal(day(addMonths(new Date('2024-11-15T00:00:00Z'), 3)), '2025-02-15');
+});
+
+test('federal holidays on weekends are observed on the nearest weekday', () => {
+  const holidays = federalHolidays(2021);
+  assert.ok(holidays.has('2021-07-05'));   // July 4 was a Sunday
+  assert.ok(holidays.has('2021-12-24'));   // Christmas was a Saturday
+  assert.ok(holidays.has('2021-12-31'));   // New Year's Day 2022 was a Saturday
+  assert.ok(holidays.has('2021-11-25'));   // Thanksgiving
+  assert.equal(day(nextBusinessDay(new Date('2021-12-24T00:00:00Z'))), '2021-12-27');
+});
+
+test('invalid rules tables are rejected', () => {
+  assert.throws(() => compileDeadlineRules({ rules: [{ id: 'x', label: 'X', documentCode: ['CTNF'] }] }), /response\.months/);
+  assert.throws(() => compileDeadlineRules({
+    rules: [{ id: 'x', label: 'X', documentCode: ['CTNF'], response: { months: 3 }, statutory: { months: 2 } }]
+  }), /statutory\.months/);
+  assert.throws(() => compileDeadlineRules({ rules: [{ id: 'x', label: 'X', response: { months: 3 } }] }), /documentCode or descriptionPattern/);
+});
+
+test('custom rules tables are used as given', () => {
+  const rules = compileDeadlineRules({
+    rules: [{ id: 'short', label: 'Short', documentCode: ['CTNF'], response: { months: 1 }, extension: { months: 1, count: 2 }, statutory: { months: 2 } }]
+  });
+  const deadline = computeDeadline(parseDocument(fixtures[0].document), 'Patent', rules);
+  assert.equal(deadline.ruleId, 'short');
+  assert.equal(deadline.extensions.length, 1);
+  assert.equal(day(deadline.finalDeadline), '2024-03-31');
+});
+
+for (const fixture of require('./fixtures/deadline-responses.json')) {
+  test(`response fixture: ${fixture.name}`, () => {
+    const deadline = computeDeadline(parseDocument(fixture.action), fixture.type);
+    const response = findResponse(deadline, fixture.documents.map(parseDocument));
+    assert.equal(response ? response.description : null, fixture.expected);
+  });
+}
+
+test('open deadlines escalate as their dates approach', () => {
+  const deadline = computeDeadline(parseDocument(fixtures[0].document), 'Patent');
+  const escalation = { warningDays: 30, urgentDays: 7 };
+  const on = date => escalationFor(deadline, new Date(`${date}T12:00:00Z`), escalation);
+
+  assert.equal(on('2024-02-15'), null);
+  assert.deepEqual([on('2024-04-10').level, on('2024-04-10').daysLeft], ['warning', 20]);
+  assert.deepEqual([on('2024-04-25').level, on('2024-04-25').daysLeft], ['urgent', 5]);
+  assert.equal(on('2024-04-30').level, 'urgent');
+  assert.deepEqual([on('2024-05-01').level, day(on('2024-05-01').date)], ['extension', '2024-05-31']);
+  assert.equal(on('2024-08-01').level, 'missed');
+  assert.equal(escalationFor({ ...deadline, status: 'satisfied' }, new Date('2024-04-25T12:00:00Z'), escalation), null);
+});
+
+test('statement of use extension requests move a trademark allowance to the next window', async t => {
+  const allowance = fixtures.find(fixture => fixture.name === 'trademark notice of allowance');
+  const deadline = { ...computeDeadline(parseDocument(allowance.document), 'Trademark'), _id: 'd1', status: 'open' };
+  const request = date => parseDocument({ date, description: 'TEAS Request For Extension Of Time To File A Statement Of Use Received' });
+
+  assert.equal(countExtensions(deadline, [request('2023-11-20')]), 1);
+  assert.equal(countExtensions(deadline, [request('2023-11-20'), request('2023-12-01')]), 1, 'one window per period');
+  assert.equal(countExtensions(deadline, [request('2023-11-20'), request('2024-05-30')]), 2);
+  assert.equal(countExtensions(deadline, [request('2024-08-01')]), 0, 'a window cannot be skipped');
+
+  const updates = [];
+  t.mock.method(Matter, 'updateOne', async (filter, update) => { updates.push(update); });
+  const closed = await closeAnsweredDeadlines({ _id: 'm1', applicationNumber: '97123456', deadlines: [deadline] }, [request('2023-11-20')]);
+  assert.deepEqual(closed, []);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].$set['deadlines.$.extensionsFiled'], 1);
+  assert.equal(day(updates[0].$set['deadlines.$.responseDue']), '2024-06-06');
+  assert.equal(day(updates[0].$set['deadlines.$.responseDueOriginal']), '2023-12-06');
+
+  // Once extended, the next window is the response date and the one after it the next extension
+  const extended = {
+    ...deadline,
+    extensionsFiled: 1,
+    responseDueOriginal: deadline.responseDue,
+    responseDue: deadline.extensions[0].dueDate,
+    responseDueEffective: deadline.extensions[0].effectiveDate
+  };
+  const on = date => escalationFor(extended, new Date(`${date}T12:00:00Z`), { warningDays: 30, urgentDays: 7 });
+  assert.deepEqual([on('2024-05-20').level, on('2024-05-20').label], ['warning', 'Response due']);
+  assert.deepEqual([on('2024-06-10').level, on('2024-06-10').label], ['extension', 'Due with 2 extensions']);
+  assert.equal(countExtensions(extended, [request('2023-11-20'), request('2024-05-30')]), 2);
+});
+
+test('documents recorded without processing are docketed and closed when already answered', async t => {
+  const answered = require('./fixtures/deadline-responses.json')[0];
+  const docs = [...answered.documents.map(parseDocument), parseDocument({ date: '2024-05-02', documentCode: 'CTFR', description: 'Final Rejection' })];
+  const stored = [];
+  const closes = [];
+  t.mock.method(Matter, 'updateOne', async (filter, update) => {
+    if (!update.$push) return closes.push(filter.deadlines.$elemMatch._id);
+    const duplicate = stored.some(deadline => deadline.sourceId === update.$push.deadlines.sourceId);
+    if (!duplicate) stored.push({ ...update.$push.deadlines, _id: `d${stored.length}` });
+    return { modifiedCount: duplicate ? 0 : 1 };
+  });
+  t.mock.method(Matter, 'findById', () => ({ lean: async () => ({ deadlines: stored }) }));
+
+  const matter = { _id: 'm1', applicationNumber: '17123456', deadlines: [] };
+  assert.equal(await docketExistingDocuments(matter, docs, docs, 'Patent'), 2);
+  assert.deepEqual(stored.map(deadline => deadline.ruleId), ['patent-non-final-rejection', 'patent-final-rejection']);
+  assert.deepEqual(closes, ['d0'], 'the rejection answered by the amendment is closed');
+
+  // A second pass (e.g. a later backfill) adds nothing
+  assert.equal(await docketExistingDocuments(matter, docs, docs, 'Patent'), 0);
+});
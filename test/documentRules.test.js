@@ -0,0 +1,95 @@
+// Document classification and direction policy (lib/documentRules.js, config/document-rules.json).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRules, documentDirection, classifyDocument } = require('../lib/documentRules');
+
+const ALL_STAGES = ['drive', 'email', 'lawmatics', 'form'];
+
+test('shipped rules file is valid', () => {
+  assert.ok(loadRules().rules.length > 0);
+});
+
+test('patent office actions are high priority and notified', () => {
+  const result = classifyDocument({ documentCode: 'CTNF', category: 'OUTGOING', description: 'Non-Final Rejection' }, 'Patent');
+  assert.equal(result.category, 'office_action');
+  assert.equal(result.priority, 'high');
+  assert.equal(result.direction, 'OUTGOING');
+  assert.equal(result.action, 'notify');
+  assert.deepEqual(result.stages, ALL_STAGES);
+});
+
+test('our own patent filings are archived to Drive only', () => {
+  const result = classifyDocument({ documentCode: 'REM', category: 'INCOMING', description: 'Applicant Arguments' }, 'Patent');
+  assert.equal(result.category, 'other');
+  assert.equal(result.direction, 'INCOMING');
+  assert.equal(result.action, 'archive');
+  assert.deepEqual(result.stages, ['drive']);
+});
+
+test('internal patent documents are low priority', () => {
+  const result = classifyDocument({ documentCode: 'XYZ', category: 'INTERNAL', description: 'Search information' }, 'Patent');
+  assert.equal(result.category, 'internal');
+  assert.equal(result.priority, 'low');
+  assert.deepEqual(result.stages, ['drive']);
+});
+
+test('patent documents without a direction are notified', () => {
+  assert.equal(documentDirection({ documentCode: 'NOA' }, 'Patent'), 'UNKNOWN');
+  assert.equal(classifyDocument({ documentCode: 'NOA' }, 'Patent').action, 'notify');
+});
+
+test('trademark directions are guessed from the description', () => {
+  assert.equal(documentDirection({ description: 'Offc Action Outgoing' }, 'Trademark'), 'OUTGOING');
+  assert.equal(documentDirection({ description: 'TEAS Response to Office Action' }, 'Trademark'), 'INCOMING');
+  assert.equal(documentDirection({ description: 'XML 1' }, 'Trademark'), 'INTERNAL');
+  assert.equal(documentDirection({ description: 'Miscellaneous Letter' }, 'Trademark'), 'UNKNOWN');
+});
+
+test('trademark office actions are notified, our responses archived', () => {
+  const action = classifyDocument({ description: 'Offc Action Outgoing' }, 'Trademark');
+  assert.equal(action.category, 'office_action');
+  assert.deepEqual(action.stages, ALL_STAGES);
+
+  const response = classifyDocument({ description: 'TEAS Response to Office Action' }, 'Trademark');
+  assert.equal(response.action, 'archive');
+  assert.deepEqual(response.stages, ['drive']);
+});
+
+test('TEAS filings naming the action they answer are ours, not office actions', () => {
+  for (const description of ['TEAS Request for Reconsideration after Final Action', 'TEAS Response To Suspension Inquiry']) {
+    const result = classifyDocument({ description }, 'Trademark');
+    assert.equal(result.direction, 'INCOMING', description);
+    assert.equal(result.category, 'other', description);
+    assert.equal(result.action, 'archive', description);
+  }
+
+  for (const description of ['Final Action', 'Suspension Letter']) {
+    const result = classifyDocument({ description }, 'Trademark');
+    assert.deepEqual([result.category, result.direction, result.priority], ['office_action', 'OUTGOING', 'high'], description);
+  }
+});
+
+test('a matter policy overrides the firm policy per direction', () => {
+  const doc = { documentCode: 'REM', category: 'INCOMING', description: 'Applicant Arguments' };
+  assert.deepEqual(classifyDocument(doc, 'Patent', { directionPolicy: { INCOMING: 'notify' } }).stages, ALL_STAGES);
+  const ignored = classifyDocument({ documentCode: 'CTNF', category: 'OUTGOING' }, 'Patent', { directionPolicy: { OUTGOING: 'ignore' } });
+  assert.equal(ignored.action, 'ignore');
+  assert.deepEqual(ignored.stages, []);
+});
+
+test('status changes are always notified, whatever the policy', () => {
+  const result = classifyDocument(
+    { statusChange: true, description: 'Registered' },
+    'Trademark',
+    { directionPolicy: { OUTGOING: 'ignore', INCOMING: 'ignore', INTERNAL: 'ignore', UNKNOWN: 'ignore' } }
+  );
+  assert.equal(result.category, 'status_change');
+  assert.equal(result.direction, null);
+  assert.equal(result.action, 'notify');
+  assert.deepEqual(result.stages, ALL_STAGES);
+});
+
+test('rules apply only to their type', () => {
+  assert.equal(classifyDocument({ description: 'Offc Action Outgoing', category: 'OUTGOING' }, 'Patent').category, 'other');
+  assert.equal(classifyDocument({ documentCode: 'CTNF', description: 'Misc' }, 'Trademark').category, 'other');
+});
@@ -0,0 +1,81 @@
+// Atomic, locked JSON state files (lib/jsonStore.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJson, readJsonSync, writeJson, updateJson } = require('../lib/jsonStore');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'state.json');
+}
+
+const backupsOf = file => fs.readdirSync(path.dirname(file)).filter(name => name.startsWith('state.json.bak.')).sort();
+
+test('missing files read as the default value', async t => {
+  const file = tempFile(t);
+  assert.deepEqual(await readJson(file, {}), {});
+  assert.equal(readJsonSync(file), null);
+});
+
+test('corrupt files are refused instead of read as empty', async t => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{"truncated":');
+  await assert.rejects(readJson(file, {}), { code: 'ECORRUPTJSON' });
+  await assert.rejects(writeJson(file, { replaced: true }), { code: 'ECORRUPTJSON' });
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"truncated":');
+});
+
+test('concurrent updates are serialized, none is lost', async t => {
+  const file = tempFile(t);
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    updateJson(file, state => ({ ...state, [`key${index}`]: index }), { defaultValue: {} })
+  ));
+  assert.equal(Object.keys(await readJson(file)).length, 20);
+  assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('a failing updater leaves the file and the queue intact', async t => {
+  const file = tempFile(t);
+  await writeJson(file, { value: 1 });
+  await assert.rejects(updateJson(file, () => { throw new Error('boom'); }), /boom/);
+  await updateJson(file, state => ({ value: state.value + 1 }));
+  assert.deepEqual(await readJson(file), { value: 2 });
+});
+
+test('a stale lock left by a crashed process is removed', async t => {
+  const file = tempFile(t);
+  fs.writeFileSync(`${file}.lock`, '{}');
+  const old = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${file}.lock`, old, old);
+  await writeJson(file, { value: 1 });
+  assert.deepEqual(await readJson(file), { value: 1 });
+});
+
+test('backups are kept at most once per interval', async t => {
+  const file = tempFile(t);
+  for (let value = 1; value <= 4; value++) {
+    await writeJson(file, { value });
+  }
+  assert.deepEqual(backupsOf(file), ['state.json.bak.1']);
+  assert.deepEqual(await readJson(`${file}.bak.1`), { value: 1 });
+});
+
+test('with no interval every write rotates the backups', async t => {
+  const file = tempFile(t);
+  for (let value = 1; value <= 4; value++) {
+    await writeJson(file, { value }, { backups: 2, backupIntervalMs: 0 });
+  }
+  assert.deepEqual(backupsOf(file), ['state.json.bak.1', 'state.json.bak.2']);
+  assert.deepEqual(await readJson(`${file}.bak.1`), { value: 3 });
+  assert.deepEqual(await readJson(`${file}.bak.2`), { value: 2 });
+});
+
+test('backups: 0 keeps no backups', async t => {
+  const file = tempFile(t);
+  await writeJson(file, { value: 1 }, { backups: 0 });
+  await writeJson(file, { value: 2 }, { backups: 0 });
+  assert.deepEqual(backupsOf(file), []);
+});
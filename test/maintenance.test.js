@@ -0,0 +1,91 @@
+// Maintenance calendar derived from grant and registration dates.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maintenanceSchedule, upcomingDates } = require('../lib/maintenance');
+
+const day = value => value.toISOString().split('T')[0];
+
+const patent = {
+  _id: 'p1',
+  applicationNumber: '16123456',
+  type: 'Patent',
+  patentStatus: { grantDate: new Date('2021-03-02T00:00:00Z') }
+};
+const trademark = {
+  _id: 't1',
+  applicationNumber: '97123456',
+  type: 'Trademark',
+  trademarkStatus: { registrationDate: new Date('2020-08-29T00:00:00Z') }
+};
+
+test('utility patent maintenance fees at 3.5, 7.5 and 11.5 years', () => {
+  const schedule = maintenanceSchedule(patent);
+  assert.deepEqual(schedule.map(item => item.kind), ['maintenance-3.5', 'maintenance-7.5', 'maintenance-11.5']);
+  assert.deepEqual(
+    schedule.map(item => [day(item.windowOpens), day(item.due), day(item.graceEnds)]),
+    [
+      ['2024-03-02', '2024-09-02', '2025-03-02'],
+      ['2028-03-02', '2028-09-02', '2029-03-02'],
+      ['2032-03-02', '2032-09-02', '2033-03-02']
+    ]
+  );
+  // 2024-09-02 is Labor Day, 2025-03-02 a Sunday
+  assert.equal(day(schedule[0].dueEffective), '2024-09-03');
+  assert.equal(day(schedule[0].graceEndsEffective), '2025-03-03');
+});
+
+test('design patents and pending applications have no maintenance calendar', () => {
+  assert.deepEqual(maintenanceSchedule({ ...patent, applicationNumber: '29123456' }), []);
+  assert.deepEqual(maintenanceSchedule({ ...patent, patentStatus: { grantDate: null } }), []);
+  assert.deepEqual(maintenanceSchedule({ ...trademark, trademarkStatus: null }), []);
+});
+
+test('trademark Section 8 and renewal windows', () => {
+  const schedule = maintenanceSchedule(trademark);
+  assert.deepEqual(
+    schedule.map(item => [item.kind, day(item.windowOpens), day(item.due), day(item.graceEnds)]),
+    [
+      ['section-8-15', '2025-08-29', '2026-08-29', '2027-02-28'],
+      ['section-8-9-10', '2029-08-29', '2030-08-29', '2031-02-28'],
+      ['section-8-9-20', '2039-08-29', '2040-08-29', '2041-02-28'],
+      ['section-8-9-30', '2049-08-29', '2050-08-29', '2051-02-28']
+    ]
+  );
+  // 2026-08-29 is a Saturday
+  assert.equal(day(schedule[0].dueEffective), '2026-08-31');
+});
+
+test('upcoming dates combine open deadlines and maintenance windows', () => {
+  const matters = [
+    { ...patent, maintenance: maintenanceSchedule(patent) },
+    {
+      ...trademark,
+      maintenance: maintenanceSchedule(trademark),
+      deadlines: [
+        {
+          ruleId: 'trademark-notice-of-allowance',
+          label: 'Statement of use',
+          status: 'open',
+          responseDueEffective: new Date('2026-09-15T00:00:00Z'),
+          finalDeadlineEffective: new Date('2029-03-15T00:00:00Z')
+        },
+        {
+          ruleId: 'trademark-office-action',
+          label: 'Office action response',
+          status: 'satisfied',
+          responseDueEffective: new Date('2026-09-01T00:00:00Z'),
+          finalDeadlineEffective: new Date('2026-12-01T00:00:00Z')
+        }
+      ]
+    }
+  ];
+
+  const upcoming = upcomingDates(matters, { from: new Date('2026-08-01T15:00:00Z'), days: 60 });
+  assert.deepEqual(
+    upcoming.map(entry => [entry.applicationNumber, entry.kind, entry.milestone, day(entry.date)]),
+    [
+      ['97123456', 'section-8-15', 'Due', '2026-08-31'],
+      ['97123456', 'trademark-notice-of-allowance', 'Response due', '2026-09-15']
+    ]
+  );
+});
@@ -0,0 +1,48 @@
+// Document steps shared by both monitors (lib/matterPipeline.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatterPipeline } = require('../lib/matterPipeline');
+const Matter = require('../models/Matter');
+
+const matter = { _id: 'm1', applicationNumber: '17123456', lawmaticsID: 'L1', type: 'Patent' };
+const doc = (documentCode, description, category) =>
+  ({ documentCode, description, category, date: new Date('2024-01-31T00:00:00Z'), link: `https://uspto.example/${documentCode}` });
+
+function recordingSteps(calls) {
+  return {
+    downloadAndUploadToDrive: async (applicationNumber, document) => {
+      calls.push('drive');
+      return { ...document, driveLink: 'https://drive.example/file' };
+    },
+    sendEmailNotification: async () => calls.push('email'),
+    updateLawmaticsProspect: async () => calls.push('lawmatics'),
+    getProspect: async () => ({ id: 'L1' }),
+    submitFormWithPuppeteer: async () => calls.push('form')
+  };
+}
+
+test('an office action runs every stage and is docketed', async t => {
+  const updates = [];
+  t.mock.method(Matter, 'updateOne', async (filter, update) => updates.push(update));
+  const calls = [];
+  const { processSingleDocument } = createMatterPipeline(recordingSteps(calls));
+
+  const processed = await processSingleDocument(matter, doc('CTNF', 'Non-Final Rejection', 'OUTGOING'), 'Patent');
+  assert.deepEqual(calls, ['drive', 'email', 'lawmatics', 'form']);
+  assert.equal(processed.classification.category, 'office_action');
+  assert.equal(processed.driveLink, 'https://drive.example/file');
+  assert.equal(processed.deadline.ruleId, 'patent-non-final-rejection');
+  assert.ok(updates.some(update => update.$set && update.$set.lastDriveLink), 'Drive link recorded');
+  assert.ok(updates.some(update => update.$push && update.$push.deadlines), 'deadline recorded');
+});
+
+test('an archived document only goes to Drive', async t => {
+  t.mock.method(Matter, 'updateOne', async () => ({}));
+  const calls = [];
+  const { processSingleDocument } = createMatterPipeline(recordingSteps(calls));
+
+  const processed = await processSingleDocument(matter, doc('IDS', 'Information Disclosure Statement', 'INCOMING'), 'Patent');
+  assert.deepEqual(calls, ['drive']);
+  assert.equal(processed.classification.action, 'archive');
+  assert.equal(processed.deadline, undefined);
+});
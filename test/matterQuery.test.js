@@ -0,0 +1,163 @@
+// Sorting and cursor paging of GET /api/matters (lib/matterQuery.js).
+//
+// The filters are evaluated by a small stand-in for MongoDB that follows its rules for the operators
+// used here: missing and null sort before any value, and $gt / $lt / $in only compare values of the
+// same type, so they never match null.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildMatterFilter, parseSort, parseLimit, sortSpec, encodeCursor, cursorFilter } = require('../lib/matterQuery');
+
+const id = n => new mongoose.Types.ObjectId(n.toString(16).padStart(24, '0'));
+
+const isNull = value => value === null || value === undefined;
+const key = value => value instanceof Date ? value.getTime() : value instanceof mongoose.Types.ObjectId ? String(value) : value;
+const sameType = (a, b) => typeof key(a) === typeof key(b) && (a instanceof Date) === (b instanceof Date);
+
+function compare(a, b) {
+  if (isNull(a) || isNull(b)) return isNull(a) ? (isNull(b) ? 0 : -1) : 1;
+  return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null) return isNull(value);
+  if (condition instanceof Date || condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+    return !isNull(value) && key(value) === key(condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$gt': return !isNull(value) && sameType(value, operand) && compare(value, operand) > 0;
+      case '$lt': return !isNull(value) && sameType(value, operand) && compare(value, operand) < 0;
+      case '$ne': return operand === null ? !isNull(value) : !matchesCondition(value, operand);
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and') return condition.every(part => matches(doc, part));
+    if (field === '$or') return condition.some(part => matches(doc, part));
+    return matchesCondition(doc[field], condition);
+  });
+}
+
+function find(docs, filter, sort, limit) {
+  const spec = Object.entries(sort);
+  return docs
+    .filter(doc => matches(doc, filter))
+    .sort((a, b) => {
+      for (const [field, direction] of spec) {
+        const order = compare(a[field], b[field]) * direction;
+        if (order !== 0) return order;
+      }
+      return 0;
+    })
+    .slice(0, limit);
+}
+
+// Follow the cursors page by page, as the dashboard does, and return the matter numbers in order
+function pageThrough(docs, sortParam, limit) {
+  const sort = parseSort(sortParam);
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < docs.length + 1; page++) {
+    const filter = cursor ? cursorFilter(cursor, sort) : {};
+    assert.ok(filter, 'cursor should decode');
+    const batch = find(docs, filter, sortSpec(sort), limit);
+    seen.push(...batch.map(doc => doc.applicationNumber));
+    if (batch.length < limit) return seen;
+    cursor = encodeCursor(batch[batch.length - 1], sort);
+  }
+  throw new Error('paging did not end');
+}
+
+const matters = [
+  { _id: id(1), applicationNumber: '1', clientName: 'Beta', lastUpdated: new Date('2024-03-01') },
+  { _id: id(2), applicationNumber: '2', clientName: null, lastUpdated: new Date('2024-01-01') },
+  { _id: id(3), applicationNumber: '3', clientName: 'Acme', lastUpdated: new Date('2024-02-01') },
+  { _id: id(4), applicationNumber: '4', lastUpdated: new Date('2024-02-01') },
+  { _id: id(5), applicationNumber: '5', clientName: 'Beta', lastUpdated: new Date('2024-01-15') },
+  { _id: id(6), applicationNumber: '6', clientName: null, lastUpdated: new Date('2024-04-01') },
+  { _id: id(7), applicationNumber: '7', clientName: 'Acme', lastUpdated: new Date('2024-05-01') }
+];
+
+for (const sortParam of ['clientName', '-clientName', 'lastUpdated', '-lastUpdated', undefined]) {
+  for (const limit of [1, 2, 3]) {
+    test(`paging by ${sortParam || '_id'}, ${limit} per page, returns every matter once in sort order`, () => {
+      const expected = find(matters, {}, sortSpec(parseSort(sortParam)), matters.length).map(doc => doc.applicationNumber);
+      assert.deepEqual(pageThrough(matters, sortParam, limit), expected);
+    });
+  }
+}
+
+test('ascending order puts matters without a value first', () => {
+  assert.deepEqual(pageThrough(matters, 'clientName', 2), ['2', '4', '6', '3', '7', '1', '5']);
+});
+
+test('descending order puts matters without a value last', () => {
+  assert.deepEqual(pageThrough(matters, '-clientName', 2), ['5', '1', '7', '3', '6', '4', '2']);
+});
+
+test('a cursor on a missing value is encoded as null', () => {
+  const cursor = encodeCursor(matters[3], parseSort('clientName'));
+  assert.deepEqual(JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')), { v: null, id: String(id(4)) });
+});
+
+test('malformed cursors are rejected', () => {
+  assert.equal(cursorFilter('not-a-cursor', parseSort('clientName')), null);
+  assert.equal(cursorFilter(Buffer.from(JSON.stringify({ v: 'x', id: 'nope' })).toString('base64url'), parseSort('clientName')), null);
+});
+
+test('unknown sort fields are rejected', () => {
+  assert.match(parseSort('-secret').error, /Invalid sort field "secret"/);
+});
+
+test('filters combine lists, tags, lifecycle states and the deleted flag', () => {
+  const { filter, errors } = buildMatterFilter({
+    type: 'Patent,Trademark',
+    clientName: ['Acme', 'Beta'],
+    tags: 'Urgent, EU',
+    monitoringState: 'active,paused'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filter.$and, [
+    { deletedAt: null },
+    { type: { $in: ['Patent', 'Trademark'] } },
+    { clientName: { $in: ['Acme', 'Beta'] } },
+    { tags: { $in: ['urgent', 'eu'] } },
+    // Matters imported before lifecycle states existed count as active
+    { monitoringState: { $in: ['active', 'paused', null] } }
+  ]);
+});
+
+test('includeDeleted=true lists soft-deleted matters too', () => {
+  assert.deepEqual(buildMatterFilter({ includeDeleted: 'true' }).filter, {});
+});
+
+test('date ranges include the whole "to" day and report invalid dates', () => {
+  const { filter, errors } = buildMatterFilter({ createdFrom: '2024-01-01', createdTo: '2024-01-31', updatedTo: 'soon' });
+  assert.deepEqual(filter.$and.slice(1), [
+    { createdAt: { $gte: new Date('2024-01-01') } },
+    { createdAt: { $lt: new Date('2024-02-01') } }
+  ]);
+  assert.deepEqual(errors, ['Invalid date for updatedTo: soon']);
+});
+
+test('free text and prefixes are matched literally', () => {
+  const { filter } = buildMatterFilter({ q: 'a.b (c)', applicationNumberPrefix: 'PCT/US' });
+  assert.deepEqual(filter.$and[1], { applicationNumber: { $regex: '^PCT/US' } });
+  const search = filter.$and[2].$or;
+  assert.deepEqual(search[0], { applicationNumber: { $regex: 'a\\.b \\(c\\)', $options: 'i' } });
+  const pattern = new RegExp(search[0].applicationNumber.$regex, 'i');
+  assert.ok(pattern.test('A.B (C)'));
+  assert.ok(!pattern.test('axb (c)'));
+});
+
+test('page sizes default to 100 and are capped at 1000', () => {
+  assert.equal(parseLimit(undefined), 100);
+  assert.equal(parseLimit('0'), 100);
+  assert.equal(parseLimit('25'), 25);
+  assert.equal(parseLimit('5000'), 1000);
+});
@@ -0,0 +1,85 @@
+// Open Data Portal metadata and priority claims (lib/patentStatus.js) against recorded ODP responses.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/odp-pct-application.json');
+
+// Serve the recorded responses instead of calling the USPTO (set before lib/patentStatus.js is loaded)
+const usptoClient = require('../lib/usptoClient');
+const responses = {};
+const calls = [];
+const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+for (const name of ['getPatentMetadata', 'getPatentContinuity', 'getPatentForeignPriority']) {
+  usptoClient[name] = async applicationNumber => {
+    calls.push(name);
+    const response = responses[name];
+    if (response instanceof Error) throw response;
+    if (response === undefined) throw notFound();
+    return response;
+  };
+}
+const { parsePatentMetadata, checkPatentStatus } = require('../lib/patentStatus');
+const { priorityDeadlines } = require('../lib/priorityDeadlines');
+
+const day = value => value.toISOString().split('T')[0];
+
+function serve({ metaData = fixture.metaData, continuity, foreignPriority } = {}) {
+  calls.length = 0;
+  responses.getPatentMetadata = metaData;
+  responses.getPatentContinuity = continuity;
+  responses.getPatentForeignPriority = foreignPriority;
+}
+
+test('the meta-data response alone carries no priority date', () => {
+  const current = parsePatentMetadata(fixture.metaData);
+  assert.equal(day(current.filingDate), '2017-10-31');
+  assert.equal(current.priorityDate, null);
+  assert.equal(current.statusDescription, 'Docketed New Case - Ready for Examination');
+  assert.equal(current.publicationNumber, 'WO2018081234');
+});
+
+test('a PCT priority date is the earliest claim from the continuity and foreign-priority endpoints', async () => {
+  serve({ continuity: fixture.continuity, foreignPriority: fixture.foreignPriority });
+  const result = await checkPatentStatus({ applicationNumber: fixture.applicationNumber, type: 'Patent' });
+
+  assert.equal(result.status, 'ok');
+  assert.deepEqual(calls, ['getPatentMetadata', 'getPatentContinuity', 'getPatentForeignPriority']);
+  // The US provisional (2016-10-31) predates the EP application (2016-11-15) and the PCT filing
+  assert.equal(day(result.current.priorityDate), '2016-10-31');
+  assert.deepEqual(result.current.childApplications, [
+    { applicationNumber: '16346123', filingDate: new Date('2019-04-30'), claimType: 'NST' }
+  ]);
+
+  const deadlines = priorityDeadlines({ applicationNumber: fixture.applicationNumber, type: 'Patent', patentStatus: result.current });
+  assert.deepEqual(deadlines.map(deadline => day(deadline.responseDue)), ['2019-04-30', '2019-05-31']);
+});
+
+test('without claims on file the PCT filing date is the priority date', async () => {
+  serve();
+  const result = await checkPatentStatus({ applicationNumber: fixture.applicationNumber, type: 'Patent' });
+  assert.equal(day(result.current.priorityDate), '2017-10-31');
+});
+
+test('a failed claims lookup keeps the last known priority date', async () => {
+  serve({ continuity: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) });
+  const previous = { checkedAt: new Date(), statusCode: '30', priorityDate: new Date('2016-10-31T00:00:00Z') };
+  const result = await checkPatentStatus({ applicationNumber: fixture.applicationNumber, type: 'Patent', patentStatus: previous });
+  assert.equal(result.status, 'ok');
+  assert.equal(day(result.current.priorityDate), '2016-10-31');
+  assert.equal(result.current.childApplications, null);
+
+  const first = await checkPatentStatus({ applicationNumber: fixture.applicationNumber, type: 'Patent' });
+  assert.equal(first.current.priorityDate, null);
+  assert.deepEqual(priorityDeadlines({ applicationNumber: fixture.applicationNumber, type: 'Patent', patentStatus: first.current }), []);
+});
+
+test('utility applications do not ask for priority claims', async () => {
+  serve();
+  await checkPatentStatus({ applicationNumber: '16123456', type: 'Patent' });
+  assert.deepEqual(calls, ['getPatentMetadata']);
+});
+
+test('provisionals do not ask for foreign priority', async () => {
+  serve({ continuity: { patentFileWrapperDataBag: [{ parentContinuityBag: [] }] } });
+  await checkPatentStatus({ applicationNumber: '62415000', type: 'Patent' });
+  assert.deepEqual(calls, ['getPatentMetadata', 'getPatentContinuity']);
+});
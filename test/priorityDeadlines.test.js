@@ -0,0 +1,121 @@
+// PCT national phase and provisional conversion deadlines.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Matter = require('../models/Matter');
+const { priorityBasis, priorityDeadlines, findClaimingApplication, closeClaimedPriorityDeadlines } = require('../lib/priorityDeadlines');
+const { parsePatentMetadata } = require('../lib/patentStatus');
+
+const day = value => value.toISOString().split('T')[0];
+
+test('PCT national phase entry at 30 and 31 months from the priority date', () => {
+  const matter = {
+    applicationNumber: 'PCT/US17/59389',
+    type: 'Patent',
+    priorityDate: new Date('2016-10-31T00:00:00Z')
+  };
+  const deadlines = priorityDeadlines(matter);
+  assert.deepEqual(
+    deadlines.map(deadline => [deadline.ruleId, day(deadline.responseDue), day(deadline.responseDueEffective)]),
+    [
+      // 2019-04-30 is a Tuesday; May 31 is the last day of the month
+      ['pct-national-phase-30', '2019-04-30', '2019-04-30'],
+      ['pct-national-phase-31', '2019-05-31', '2019-05-31']
+    ]
+  );
+  assert.ok(deadlines.every(deadline => deadline.finalDeadline.getTime() === deadline.responseDue.getTime()));
+  assert.equal(deadlines[0].sourceId, 'priority|pct-national-phase-30|2016-10-31');
+});
+
+test('a PCT application with only a filing date waits for its priority claims', () => {
+  assert.equal(priorityBasis({
+    applicationNumber: 'PCT/US17/59389',
+    type: 'Patent',
+    patentStatus: { filingDate: new Date('2017-10-31T00:00:00Z'), priorityDate: null }
+  }), null);
+});
+
+test('provisional conversion 12 months from filing, moved past a weekend', () => {
+  const matter = {
+    applicationNumber: '63123456',
+    type: 'Patent',
+    patentStatus: { filingDate: new Date('2024-03-16T00:00:00Z') }
+  };
+  const [deadline] = priorityDeadlines(matter);
+  assert.equal(deadline.ruleId, 'provisional-conversion');
+  // 2025-03-16 is a Sunday
+  assert.deepEqual([day(deadline.responseDue), day(deadline.responseDueEffective)], ['2025-03-16', '2025-03-17']);
+  assert.equal(priorityBasis(matter).source, 'uspto');
+});
+
+test('a manually entered priority date wins over the USPTO one', () => {
+  const basis = priorityBasis({
+    applicationNumber: 'PCT/US2017/059389',
+    type: 'Patent',
+    priorityDate: '2016-09-01',
+    patentStatus: { priorityDate: new Date('2016-10-31T00:00:00Z') }
+  });
+  assert.deepEqual([basis.kind, day(basis.date), basis.source], ['pct', '2016-09-01', 'manual']);
+});
+
+test('utility applications and undated filings get no filing deadlines', () => {
+  assert.deepEqual(priorityDeadlines({ applicationNumber: '16123456', type: 'Patent', priorityDate: new Date() }), []);
+  assert.deepEqual(priorityDeadlines({ applicationNumber: '63123456', type: 'Patent' }), []);
+});
+
+test('ODP metadata yields the filing date and, with the claims, the earliest claimed priority', () => {
+  const current = parsePatentMetadata({
+    patentFileWrapperDataBag: [{
+      applicationMetaData: { applicationStatusCode: 30, filingDate: '2017-10-30' }
+    }]
+  }, {
+    foreignPriorityBag: [{ filingDate: '2017-02-14' }],
+    parentContinuityBag: [{ parentApplicationFilingDate: '2016-10-31' }]
+  });
+  assert.equal(day(current.filingDate), '2017-10-30');
+  assert.equal(day(current.priorityDate), '2016-10-31');
+});
+
+test('a US national stage application closes the 30-month deadline, not the 31-month one', () => {
+  const children = [{ applicationNumber: '16346123', filingDate: new Date('2019-04-30T00:00:00Z'), claimType: 'NST' }];
+  const [thirty, thirtyOne] = priorityDeadlines({ applicationNumber: 'PCT/US17/59389', type: 'Patent', priorityDate: '2016-10-31' });
+  assert.equal(findClaimingApplication(thirty, children).applicationNumber, '16346123');
+  assert.equal(findClaimingApplication(thirtyOne, children), null);
+  // A continuation of the PCT application is not a national stage entry
+  assert.equal(findClaimingApplication(thirty, [{ ...children[0], claimType: 'CON' }]), null);
+});
+
+test('an application claiming a provisional closes its conversion deadline', () => {
+  const [conversion] = priorityDeadlines({ applicationNumber: '63123456', type: 'Patent', priorityDate: '2023-01-06' });
+  assert.equal(findClaimingApplication(conversion, []), null);
+  assert.equal(findClaimingApplication(conversion, null), null);
+  assert.equal(findClaimingApplication(conversion, [{ applicationNumber: '18000001', claimType: 'PRO' }]).applicationNumber, '18000001');
+});
+
+test('open deadlines claimed by a child application are marked satisfied', async t => {
+  const matter = {
+    _id: 'matter-1',
+    applicationNumber: 'PCT/US17/59389',
+    type: 'Patent',
+    priorityDate: '2016-10-31',
+    patentStatus: { childApplications: [{ applicationNumber: '16346123', filingDate: new Date('2019-04-30T00:00:00Z'), claimType: 'NST' }] }
+  };
+  const stored = priorityDeadlines(matter).map((deadline, index) => ({ ...deadline, _id: `deadline-${index}` }));
+  const updates = [];
+  t.mock.method(Matter, 'findById', () => ({ lean: async () => ({ deadlines: stored }) }));
+  t.mock.method(Matter, 'updateOne', async (filter, update) => updates.push({ filter, update }));
+
+  const closed = await closeClaimedPriorityDeadlines(matter);
+  assert.deepEqual(closed.map(deadline => deadline.ruleId), ['pct-national-phase-30']);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].filter.deadlines.$elemMatch._id, 'deadline-0');
+  assert.deepEqual(updates[0].update.$set['deadlines.$.satisfiedBy'], {
+    description: 'US national stage application 16346123',
+    documentCode: 'NST',
+    date: new Date('2019-04-30T00:00:00Z')
+  });
+
+  // Nothing to do without child applications, and no database read
+  Matter.findById.mock.resetCalls();
+  assert.deepEqual(await closeClaimedPriorityDeadlines({ ...matter, patentStatus: {} }), []);
+  assert.equal(Matter.findById.mock.callCount(), 0);
+});
@@ -0,0 +1,166 @@
+// Seen-document state per application (lib/processedState.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  documentId,
+  migrateState,
+  getLastProcessedDate,
+  markSeen,
+  needsBaseline,
+  selectNewDocuments,
+  selectBackfillDocuments,
+  recordBackfill,
+  stateFromMatters
+} = require('../lib/processedState');
+const Matter = require('../models/Matter');
+
+const doc = (documentCode, date, link = `https://uspto.example/${documentCode}/${date}`) =>
+  ({ documentCode, date: new Date(`${date}T00:00:00Z`), link, description: documentCode });
+
+const codes = docs => docs.map(d => d.documentCode);
+
+test('document identities combine code, date and a hash of the link', () => {
+  const id = documentId(doc('CTNF', '2024-02-01'));
+  assert.match(id, /^CTNF\|2024-02-01\|[0-9a-f]{12}$/);
+  assert.notEqual(documentId(doc('CTNF', '2024-02-01', 'https://uspto.example/other')), id);
+  assert.equal(documentId(doc('CTNF', '2024-02-01')), id);
+});
+
+test('documents without a code or link fall back to the description', () => {
+  const trademark = { documentCode: 'N/A', link: 'N/A', description: 'Offc Action Outgoing', date: '2024-02-01' };
+  assert.match(documentId(trademark), /^Offc Action Outgoing\|2024-02-01\|/);
+  assert.notEqual(documentId({ ...trademark, description: 'Notice of Allowance' }), documentId(trademark));
+});
+
+test('date-only entries are migrated to baselined entries', () => {
+  const state = { a: '2024-01-10', b: { lastProcessedDate: '2024-01-01', seen: ['x'] } };
+  assert.equal(migrateState(state), 1);
+  assert.deepEqual(state.a, { lastProcessedDate: '2024-01-10', seen: [], baseline: true });
+  assert.equal(getLastProcessedDate(state, 'a'), '2024-01-10');
+  assert.equal(getLastProcessedDate({ c: '2023-12-31' }, 'c'), '2023-12-31');
+  assert.equal(getLastProcessedDate(state, 'missing'), null);
+});
+
+test('the first check records history as seen and returns only today\'s documents', () => {
+  const state = {};
+  const docs = [doc('CTNF', '2024-03-01'), doc('NOA', '2024-03-05'), doc('ISSUE.NTF', '2024-03-05')];
+  assert.deepEqual(codes(selectNewDocuments(state, 'a', docs, '2024-03-05')), ['NOA', 'ISSUE.NTF']);
+  assert.deepEqual(state.a.seen, [documentId(docs[0])]);
+  assert.equal(needsBaseline(state, 'a'), false);
+  assert.equal(needsBaseline(state, 'b'), true);
+});
+
+test('a second document on an already processed date is still new', () => {
+  const state = {};
+  const first = doc('NOA', '2024-03-05');
+  selectNewDocuments(state, 'a', [first], '2024-03-05');
+  markSeen(state, 'a', first);
+
+  const sameDay = doc('IFEE', '2024-03-05');
+  assert.deepEqual(codes(selectNewDocuments(state, 'a', [sameDay, first], '2024-03-06')), ['IFEE']);
+});
+
+test('a migrated entry treats documents up to its date as seen, once', () => {
+  const state = { a: '2024-03-01' };
+  const docs = [doc('CTNF', '2024-02-01'), doc('RESP', '2024-03-01'), doc('CTFR', '2024-03-10')];
+  assert.equal(needsBaseline(state, 'a'), true);
+  assert.deepEqual(codes(selectNewDocuments(state, 'a', docs, '2024-03-20')), ['CTFR']);
+  assert.equal(state.a.baseline, undefined);
+  assert.equal(state.a.seen.length, 2);
+});
+
+test('markSeen keeps the newest date and no duplicate identities', () => {
+  const state = {};
+  markSeen(state, 'a', doc('NOA', '2024-03-05'));
+  markSeen(state, 'a', doc('CTNF', '2024-01-05'));
+  markSeen(state, 'a', doc('NOA', '2024-03-05'));
+  assert.equal(state.a.lastProcessedDate, '2024-03-05');
+  assert.equal(state.a.seen.length, 2);
+});
+
+test('a backfill archives unseen documents and retries failed ones', () => {
+  const docs = [doc('CTNF', '2024-01-01'), doc('RESP', '2024-02-01'), doc('NOA', '2024-03-01')];
+  const state = { a: { lastProcessedDate: '2024-03-01', seen: [documentId(docs[2])] } };
+  assert.deepEqual(codes(selectBackfillDocuments(state, 'a', docs)), ['CTNF', 'RESP']);
+  assert.deepEqual(codes(selectBackfillDocuments({}, 'a', docs)), ['CTNF', 'RESP', 'NOA']);
+
+  recordBackfill(state, 'a', docs, [docs[1]]);
+  assert.equal(state.a.seen.length, 3);
+  assert.deepEqual(codes(selectBackfillDocuments(state, 'a', docs)), ['RESP']);
+  assert.deepEqual(selectNewDocuments(state, 'a', docs, '2024-04-01'), []);
+
+  recordBackfill(state, 'a', docs, []);
+  assert.equal(state.a.backfillFailed, undefined);
+});
+
+test('a backfill of a migrated entry skips documents up to its date', () => {
+  const docs = [doc('CTNF', '2024-01-01'), doc('NOA', '2024-03-01')];
+  assert.deepEqual(codes(selectBackfillDocuments({ a: '2024-02-01' }, 'a', docs)), ['NOA']);
+});
+
+test('matters carry their own state; the state file only fills in for matters without one', () => {
+  const legacy = { a: { lastProcessedDate: '2023-01-01', seen: ['old'] }, b: { lastProcessedDate: '2023-05-01', seen: [], baseline: true } };
+  const state = stateFromMatters([
+    { applicationNumber: 'a', processedState: { lastProcessedDate: '2024-01-01', seen: ['x'], backfillFailed: ['x'] } },
+    { applicationNumber: 'b' },
+    { applicationNumber: 'c' }
+  ], legacy);
+  assert.deepEqual(state, {
+    a: { lastProcessedDate: '2024-01-01', seen: ['x'], backfillFailed: ['x'] },
+    b: { lastProcessedDate: '2023-05-01', seen: [], baseline: true }
+  });
+
+  // The run's copy is its own: marking documents seen leaves the file's entries untouched
+  markSeen(state, 'b', doc('CTNF', '2024-02-01'));
+  assert.deepEqual(legacy.b.seen, []);
+});
+
+test('processed state is merged into the matters, never replaced', async t => {
+  const operations = [];
+  t.mock.method(Matter, 'bulkWrite', async ops => operations.push(...ops));
+  await Matter.recordProcessedState([
+    { matterId: 'm1', entry: { lastProcessedDate: '2024-01-01', seen: ['x', 'y'] } },
+    { matterId: 'm2', entry: { lastProcessedDate: null, seen: [], baseline: true } },
+    { matterId: 'm3', entry: { lastProcessedDate: '2024-01-01', seen: ['x'], backfillFailed: ['x'] } }
+  ]);
+  // One check time for the whole batch
+  const checkedAt = operations[0].updateOne.update.$set['processedState.checkedAt'];
+  assert.ok(checkedAt instanceof Date);
+  assert.deepEqual(operations, [
+    {
+      updateOne: {
+        filter: { _id: 'm1' },
+        update: {
+          $addToSet: { 'processedState.seen': { $each: ['x', 'y'] } },
+          $max: { 'processedState.lastProcessedDate': '2024-01-01' },
+          $set: { 'processedState.checkedAt': checkedAt },
+          $unset: { 'processedState.baseline': '', 'processedState.backfillFailed': '' }
+        }
+      }
+    },
+    {
+      updateOne: {
+        filter: { _id: 'm2' },
+        update: {
+          $addToSet: { 'processedState.seen': { $each: [] } },
+          $set: { 'processedState.checkedAt': checkedAt, 'processedState.baseline': true },
+          $unset: { 'processedState.backfillFailed': '' }
+        }
+      }
+    },
+    {
+      updateOne: {
+        filter: { _id: 'm3' },
+        update: {
+          $addToSet: { 'processedState.seen': { $each: ['x'] } },
+          $max: { 'processedState.lastProcessedDate': '2024-01-01' },
+          $set: { 'processedState.checkedAt': checkedAt, 'processedState.backfillFailed': ['x'] },
+          $unset: { 'processedState.baseline': '' }
+        }
+      }
+    }
+  ]);
+
+  assert.equal(await Matter.recordProcessedState([]), null);
+  assert.equal(Matter.bulkWrite.mock.callCount(), 1);
+});
@@ -0,0 +1,65 @@
+// Bounded concurrency helpers used by the monitors.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConcurrency, createLane, runPool } = require('../lib/workerPool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runPool keeps at most `concurrency` workers in flight and returns results in order', async () => {
+  let active = 0;
+  let peak = 0;
+  const { results, skipped } = await runPool([30, 10, 20, 5, 15, 1], async (ms, index) => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(ms);
+    active--;
+    return index * 10;
+  }, { concurrency: 3 });
+
+  assert.equal(peak, 3);
+  assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+  assert.deepEqual(skipped, []);
+});
+
+test('runPool stops starting items once shouldStop returns true', async () => {
+  let started = 0;
+  const { results, skipped } = await runPool(['a', 'b', 'c', 'd', 'e'], async item => {
+    started++;
+    await sleep(5);
+    return item.toUpperCase();
+  }, { concurrency: 2, shouldStop: () => started >= 3 });
+
+  assert.equal(started, 3);
+  assert.deepEqual(results.filter(Boolean), ['A', 'B', 'C']);
+  assert.deepEqual(skipped, ['d', 'e']);
+});
+
+test('runPool rejects with the first worker error after in-flight items settle', async () => {
+  const finished = [];
+  await assert.rejects(runPool([1, 2, 3], async item => {
+    await sleep(item * 5);
+    if (item === 1) throw new Error('boom');
+    finished.push(item);
+  }, { concurrency: 2 }), /boom/);
+  assert.deepEqual(finished, [2]);
+});
+
+test('a lane runs tasks one at a time, in call order, spaced apart', async () => {
+  const lane = createLane({ spacingMs: 20 });
+  const events = [];
+  const started = Date.now();
+  await Promise.all([3, 2, 1].map(id => lane(async () => {
+    events.push(`start ${id}`);
+    await sleep(5);
+    events.push(`end ${id}`);
+  })));
+
+  assert.deepEqual(events, ['start 3', 'end 3', 'start 2', 'end 2', 'start 1', 'end 1']);
+  assert.ok(Date.now() - started >= 3 * 5 + 2 * 20 - 5);
+});
+
+test('parseConcurrency falls back for invalid values', () => {
+  assert.equal(parseConcurrency('4'), 4);
+  assert.equal(parseConcurrency('0'), 6);
+  assert.equal(parseConcurrency(undefined, 2), 2);
+});
@@ -124,7 +124,7 @@ const processTrademark = async (applicationNumber, lawmaticsID) => {
   try {
     const url = `https://tsdrapi.uspto.gov/ts/cd/casedocs/bundle.xml?sn=${applicationNumber}`;
     const { data } = await axios.get(url, {
-      headers: { 'USPTO-API-KEY': '5WFZ8ApIfVK4ZZKevqIGFn0WtgLVmw4w' },
+      headers: { 'USPTO-API-KEY': process.env.USPTO_API_KEY },
     });
 
     const result = await parseStringPromise(data);
@@ -193,7 +193,7 @@ const processPatent = async (applicationNumber, lawmaticsID) => {
     const { data } = await axios.get(url, {
       headers: {
         accept: 'application/json',
-        'X-API-KEY': process.env.USPTO_API_KEY || 'wbrvfnkztibwvbguoheyakqjlhgagv'
+        'X-API-KEY': process.env.Patent_USPTO_API_KEY || process.env.USPTO_API_KEY
       },
     });
 